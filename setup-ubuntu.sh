@@ -77,6 +77,11 @@ sudo apt install -y \
 
 log_success "Build tools installed"
 
+# GPIO tools for the push-to-talk button (libgpiod character device access)
+log_info "Installing GPIO tools..."
+sudo apt install -y gpiod
+log_success "GPIO tools installed"
+
 # Configure audio system
 log_info "Configuring audio system..."
 
@@ -93,6 +98,12 @@ fi
 sudo usermod -a -G audio $USER
 log_success "User added to audio group"
 
+# GPIO access without root (/dev/gpiochip*)
+if getent group gpio > /dev/null; then
+    sudo usermod -a -G gpio $USER
+    log_success "User added to gpio group"
+fi
+
 # Set up USB audio device permissions
 sudo tee /etc/udev/rules.d/99-usb-audio.rules > /dev/null << EOF
 # USB Audio devices
@@ -0,0 +1,58 @@
+// Parsing and decoding for ElevenLabs audio format names such as `pcm_16000`
+// or `ulaw_8000` (as reported in conversation_initiation_metadata).
+
+const FORMAT_PATTERN = /^(pcm|ulaw)_(\d+)$/;
+
+// Formats the ElevenLabs agent API can negotiate
+const SUPPORTED_SAMPLE_RATES = {
+  pcm: [8000, 16000, 22050, 24000, 44100, 48000],
+  ulaw: [8000]
+};
+
+export function parseAudioFormat(name) {
+  const match = FORMAT_PATTERN.exec(name || '');
+
+  if (!match) {
+    throw new Error(`Unsupported audio format '${name}'`);
+  }
+
+  const encoding = match[1];
+  const sampleRate = parseInt(match[2], 10);
+
+  if (!SUPPORTED_SAMPLE_RATES[encoding].includes(sampleRate)) {
+    throw new Error(`Unsupported audio format '${name}' (${encoding} supports ${SUPPORTED_SAMPLE_RATES[encoding].join(', ')} Hz)`);
+  }
+
+  return {
+    name,
+    encoding,
+    sampleRate,
+    channels: 1 // Agent audio is always mono
+  };
+}
+
+// G.711 μ-law byte → 16-bit linear sample lookup
+const MULAW_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const value = ~i & 0xff;
+  let magnitude = (((value & 0x0f) << 3) + 0x84) << ((value & 0x70) >> 4);
+  magnitude -= 0x84;
+  MULAW_TABLE[i] = value & 0x80 ? -magnitude : magnitude;
+}
+
+// μ-law bytes → 16-bit little-endian PCM
+export function decodeMulaw(buffer) {
+  const output = Buffer.alloc(buffer.length * 2);
+  for (let i = 0; i < buffer.length; i++) {
+    output.writeInt16LE(MULAW_TABLE[buffer[i]], i * 2);
+  }
+  return output;
+}
+
+// Returns a function turning received agent audio into 16-bit PCM
+export function createDecoder(format) {
+  if (format.encoding === 'ulaw') {
+    return decodeMulaw;
+  }
+  return (buffer) => buffer;
+}
@@ -1,129 +1,173 @@
-import recorder from 'node-record-lpcm16';
-import { spawn } from 'child_process';
-import { writeFileSync, unlinkSync } from 'fs';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { PlaybackSink } from './playbackSink.js';
+import { JitterBuffer } from './jitterBuffer.js';
+import { EchoCanceller } from './echoCanceller.js';
+import { Resampler } from './resampler.js';
+import { parseAudioFormat, createDecoder } from './audioFormat.js';
+
+// AUDIO_CHANNEL_SELECT: 'downmix', 'left', 'right' or a channel number
+function parseChannelSelect(value) {
+  if (value === 'left') {
+    return 0;
+  }
+  if (value === 'right') {
+    return 1;
+  }
+  const channel = parseInt(value, 10);
+  return Number.isNaN(channel) ? 'downmix' : channel;
+}
 
 export class AudioManager {
-  constructor() {
+  constructor(captureHub, backend) {
+    this.captureHub = captureHub;
+    this.backend = backend;
     this.isRecording = false;
-    this.recordingStream = null;
-    this.audioQueue = [];
-    this.isPlaying = false;
-    this.tempAudioFiles = [];
+    this.unsubscribeCapture = null;
+    this.lastInterruptedEventId = null;
     
-    // Audio configuration based on ElevenLabs requirements
-    this.recordingOptions = {
-      sampleRate: config.audio.sampleRate, // 48000 Hz for ATR2100-USB
-      channels: config.audio.channels, // 2 channels (stereo) for ATR2100-USB
-      threshold: 0.5,
-      silence: '1.0s',
-      device: 'plughw:1,0', // ATR USB microphone (card 1, device 0)
-      recordProgram: 'arecord', // Use ALSA for Raspberry Pi (not sox)
-      verbose: config.debug.enabled
-    };
+    // Playback through the audio backend, configured from the negotiated agent output format
+    this.playbackDevice = null; // Resolved from config.audio.playbackDeviceName
+    this.playbackFormat = parseAudioFormat(config.audio.outputFormat);
+    this.decodePlayback = createDecoder(this.playbackFormat);
+    this.playbackSink = new PlaybackSink(backend, {
+      device: this.playbackDevice,
+      sampleRate: this.playbackFormat.sampleRate,
+      channels: this.playbackFormat.channels
+    });
+    this.jitterBuffer = new JitterBuffer(
+      this.playbackSink,
+      config.audio.jitterBuffer,
+      (buffer, startsAt) => this.addEchoReference(buffer, startsAt)
+    );
+
+    this.duplexMode = config.audio.duplexMode === 'half' ? 'half' : 'full';
+    if (this.duplexMode === 'full' && !config.audio.echoCancellation.enabled) {
+      logger.warn('Full duplex without echo cancellation: the agent may hear its own voice');
+    }
+
+    // Until the server reports user_input_audio_format, assume the default
+    this.configureUplink(config.audio.format);
+  }
+
+  isFullDuplex() {
+    return this.duplexMode === 'full';
+  }
+
+  // Match playback to the format the agent sends (agent_output_audio_format).
+  // Throws for formats we cannot play rather than producing noise.
+  configurePlayback(formatName) {
+    const format = parseAudioFormat(formatName);
 
-    // ALSA playback options (ElevenLabs sends 16kHz mono PCM)
-    this.playbackDevice = 'plughw:0,0'; // bcm2835 Headphones (aux jack for Marshall amp)
-    this.playbackOptions = [
-      '-D', this.playbackDevice,
-      '-f', 'S16_LE',
-      '-c', '1', // ElevenLabs audio is mono
-      '-r', '16000' // ElevenLabs audio is 16kHz
-    ];
+    this.playbackFormat = format;
+    this.decodePlayback = createDecoder(format);
+    this.playbackSink.configure({ sampleRate: format.sampleRate, channels: format.channels });
+
+    // Echo reference rate follows the playback rate
+    if (this.uplinkFormat) {
+      this.createEchoCanceller();
+    }
+
+    logger.audio('Playback configured', { format: format.name });
   }
 
-  // Convert 48kHz stereo to 16kHz mono for ElevenLabs
+  // Match the uplink to the format the server expects (user_input_audio_format)
+  configureUplink(formatName) {
+    const format = parseAudioFormat(formatName);
+
+    if (format.encoding !== 'pcm') {
+      throw new Error(`Unsupported uplink audio format '${formatName}'`);
+    }
+
+    this.uplinkFormat = format;
+    this.resampler = new Resampler({
+      inputRate: config.audio.sampleRate,
+      outputRate: format.sampleRate,
+      inputChannels: config.audio.channels,
+      channelMode: parseChannelSelect(config.audio.channelSelect)
+    });
+
+    this.createEchoCanceller();
+
+    logger.audio('Uplink configured', {
+      capture: `${config.audio.sampleRate}Hz/${config.audio.channels}ch`,
+      uplink: format.name,
+      channelSelect: config.audio.channelSelect
+    });
+  }
+
+  // Full duplex keeps the mic open during playback, so the uplink needs
+  // the agent's own voice removed before it goes back to the server
+  createEchoCanceller() {
+    this.echoCanceller = null;
+    this.referenceResampler = null;
+
+    if (this.duplexMode !== 'full' || !config.audio.echoCancellation.enabled) {
+      return;
+    }
+
+    const uplinkRate = this.uplinkFormat.sampleRate;
+    this.echoCanceller = new EchoCanceller({
+      sampleRate: uplinkRate,
+      ...config.audio.echoCancellation
+    });
+
+    // The reference must be at the uplink rate to line up with mic samples
+    if (this.playbackSink.sampleRate !== uplinkRate) {
+      this.referenceResampler = new Resampler({
+        inputRate: this.playbackSink.sampleRate,
+        outputRate: uplinkRate
+      });
+    }
+  }
+
+  // Convert captured PCM (any rate/channel count) to the uplink format
   convertAudioFormat(inputBuffer) {
     try {
-      // Input: 48kHz stereo (2 channels), 16-bit samples
-      // Output: 16kHz mono (1 channel), 16-bit samples
-      
-      const inputSampleRate = 48000;
-      const outputSampleRate = 16000;
-      const inputChannels = 2;
-      const outputChannels = 1;
-      
-      // Calculate decimation factor (3:1 for 48kHz to 16kHz)
-      const decimationFactor = inputSampleRate / outputSampleRate;
-      
-      // Convert buffer to 16-bit signed integers
-      const inputSamples = [];
-      for (let i = 0; i < inputBuffer.length; i += 2) {
-        inputSamples.push(inputBuffer.readInt16LE(i));
-      }
-      
-      // Convert stereo to mono by averaging channels
-      const monoSamples = [];
-      for (let i = 0; i < inputSamples.length; i += inputChannels) {
-        const left = inputSamples[i] || 0;
-        const right = inputSamples[i + 1] || 0;
-        monoSamples.push(Math.round((left + right) / 2));
-      }
-      
-      // Downsample by taking every nth sample
-      const outputSamples = [];
-      for (let i = 0; i < monoSamples.length; i += decimationFactor) {
-        outputSamples.push(monoSamples[Math.floor(i)]);
-      }
-      
-      // Convert back to buffer
-      const outputBuffer = Buffer.alloc(outputSamples.length * 2);
-      for (let i = 0; i < outputSamples.length; i++) {
-        outputBuffer.writeInt16LE(outputSamples[i] || 0, i * 2);
-      }
-      
-      return outputBuffer;
+      return this.resampler.process(inputBuffer);
     } catch (error) {
       logger.error('Audio format conversion error:', error);
       return inputBuffer; // Return original if conversion fails
     }
   }
 
-  startRecording(onAudioData) {
-    return new Promise((resolve, reject) => {
-      if (this.isRecording) {
-        logger.warn('Recording already in progress');
-        return resolve();
-      }
+  // Attach the uplink to the shared capture hub (no new capture process)
+  async startRecording(onAudioData) {
+    if (this.isRecording) {
+      logger.warn('Recording already in progress');
+      return;
+    }
+
+    logger.audio('Starting audio recording...');
+
+    // Make sure the device is open; no-op if VAD already started it
+    this.captureHub.start();
+
+    const captureBytesPerMs = (config.audio.sampleRate * config.audio.channels * 2) / 1000;
 
-      try {
-        logger.audio('Starting audio recording...');
-        
-        this.recordingStream = recorder.record(this.recordingOptions);
-        this.isRecording = true;
-
-        // Handle audio data chunks
-        this.recordingStream.stream().on('data', (chunk) => {
-          if (onAudioData && chunk.length > 0) {
-            // Convert from 48kHz stereo to 16kHz mono for ElevenLabs
-            const convertedChunk = this.convertAudioFormat(chunk);
-            
-            // Convert PCM data to base64 for ElevenLabs
-            const base64Audio = convertedChunk.toString('base64');
-            onAudioData(base64Audio);
-            
-            if (config.debug.enabled) {
-              logger.audio(`Audio chunk: ${chunk.length}→${convertedChunk.length} bytes`);
-            }
-          }
-        });
-
-        this.recordingStream.stream().on('error', (error) => {
-          logger.error('Recording stream error:', error);
-          this.stopRecording();
-          reject(error);
-        });
-
-        logger.audio('Audio recording started successfully');
-        resolve();
-
-      } catch (error) {
-        logger.error('Failed to start recording:', error);
-        this.isRecording = false;
-        reject(error);
+    this.unsubscribeCapture = this.captureHub.subscribe('uplink', (chunk) => {
+      if (onAudioData) {
+        const captureStartMs = Date.now() - chunk.length / captureBytesPerMs;
+
+        // Convert from the capture format to the uplink format for ElevenLabs
+        let convertedChunk = this.convertAudioFormat(chunk);
+
+        if (this.echoCanceller) {
+          convertedChunk = this.echoCanceller.process(convertedChunk, captureStartMs);
+        }
+
+        // Convert PCM data to base64 for ElevenLabs
+        const base64Audio = convertedChunk.toString('base64');
+        onAudioData(base64Audio);
+
+        if (config.debug.enabled) {
+          logger.audio(`Audio chunk: ${chunk.length}→${convertedChunk.length} bytes`);
+        }
       }
     });
+
+    this.isRecording = true;
+    logger.audio('Audio recording started successfully');
   }
 
   stopRecording() {
@@ -134,9 +178,10 @@ export class AudioManager {
     try {
       logger.audio('Stopping audio recording...');
       
-      if (this.recordingStream) {
-        this.recordingStream.stop();
-        this.recordingStream = null;
+      // Detach from the hub; the capture device itself keeps running
+      if (this.unsubscribeCapture) {
+        this.unsubscribeCapture();
+        this.unsubscribeCapture = null;
       }
       
       this.isRecording = false;
@@ -147,130 +192,128 @@ export class AudioManager {
     }
   }
 
-  async playAudio(base64AudioData) {
+  async playAudio(base64AudioData, eventId = null) {
     try {
       if (!base64AudioData) {
         logger.warn('No audio data provided for playback');
         return;
       }
 
-      // Decode base64 audio data
-      const audioBuffer = Buffer.from(base64AudioData, 'base64');
-      
-      logger.audio(`Playing audio chunk: ${audioBuffer.length} bytes`);
-
-      // Add to queue if currently playing
-      if (this.isPlaying) {
-        this.audioQueue.push(audioBuffer);
+      // Late chunks from a response the user already talked over
+      if (this.isInterruptedEvent(eventId)) {
+        logger.audio(`Dropping stale audio chunk (event_id: ${eventId})`);
         return;
       }
 
-      await this.playAudioBuffer(audioBuffer);
+      // Decode base64 audio data (and μ-law, if negotiated) to PCM
+      const audioBuffer = this.decodePlayback(Buffer.from(base64AudioData, 'base64'));
+      
+      logger.audio(`Playing audio chunk: ${audioBuffer.length} bytes`);
+
+      // Jitter buffer smooths network bursts before audio reaches the sink
+      this.jitterBuffer.push(audioBuffer);
 
     } catch (error) {
       logger.error('Error playing audio:', error);
     }
   }
 
-  async playAudioBuffer(buffer) {
-    return new Promise((resolve, reject) => {
-      try {
-        this.isPlaying = true;
-        
-        // Create temporary file for audio data
-        const tempFile = `/tmp/audio_${Date.now()}.raw`;
-        this.tempAudioFiles.push(tempFile);
-        
-        // Write PCM data to temporary file
-        writeFileSync(tempFile, buffer);
-        
-        // Use aplay to play the audio
-        const aplay = spawn('aplay', [...this.playbackOptions, tempFile]);
-        
-        aplay.on('close', (code) => {
-          this.isPlaying = false;
-          
-          // Clean up temporary file
-          try {
-            unlinkSync(tempFile);
-            const index = this.tempAudioFiles.indexOf(tempFile);
-            if (index > -1) {
-              this.tempAudioFiles.splice(index, 1);
-            }
-          } catch (cleanupError) {
-            logger.warn('Failed to cleanup temp audio file:', cleanupError);
-          }
-          
-          if (code === 0) {
-            logger.audio('Audio playback completed');
-            
-            // Play next queued audio if available
-            if (this.audioQueue.length > 0) {
-              const nextBuffer = this.audioQueue.shift();
-              this.playAudioBuffer(nextBuffer);
-            }
-            
-            resolve();
-          } else {
-            logger.error(`aplay exited with code ${code}`);
-            reject(new Error(`Audio playback failed with code ${code}`));
-          }
-        });
-
-        aplay.on('error', (error) => {
-          this.isPlaying = false;
-          logger.error('aplay error:', error);
-          reject(error);
-        });
-
-        aplay.stderr.on('data', (data) => {
-          logger.debug('aplay stderr:', data.toString());
-        });
-
-      } catch (error) {
-        this.isPlaying = false;
-        logger.error('Error in playAudioBuffer:', error);
-        reject(error);
-      }
-    });
+  // Audio handed to the sink is the echo canceller's far-end reference
+  addEchoReference(buffer, startsAt) {
+    if (this.echoCanceller && startsAt !== null) {
+      const reference = this.referenceResampler ? this.referenceResampler.process(buffer) : buffer;
+      this.echoCanceller.addReference(reference, startsAt);
+    }
   }
 
-  // Utility method to check audio devices
-  async checkAudioDevices() {
-    try {
-      logger.info('Checking available audio devices...');
-      
-      logger.info('Audio Device Configuration:');
-      logger.info(`• Microphone: ATR USB microphone (card 1, device 0)`);
-      logger.info(`• Output: bcm2835 Headphones → Marshall amp (card 0, device 0)`);
-      logger.info(`• Recording device: ${this.recordingOptions.device}`);
-      logger.info(`• Playback device: ${this.playbackDevice}`);
-      logger.info(`• Using native aplay for audio output (more reliable on Pi)`);
-      logger.info('');
-      logger.info('To verify devices, run: aplay -l && arecord -l');
-      
-    } catch (error) {
-      logger.error('Error checking audio devices:', error);
+  isPlaying() {
+    return this.playbackSink.isPlaying() || this.jitterBuffer.hasPending();
+  }
+
+  // Wait until all queued agent audio has been played
+  drainPlayback() {
+    return this.jitterBuffer.drain();
+  }
+
+  // Discard queued agent audio and silence the output immediately
+  flushPlayback() {
+    this.jitterBuffer.flush();
+    this.playbackSink.flush();
+
+    if (this.echoCanceller) {
+      this.echoCanceller.resetReference();
+    }
+    if (this.referenceResampler) {
+      this.referenceResampler.reset();
     }
   }
 
+  // User barged in: drop everything queued from the interrupted response
+  interrupt(eventId) {
+    if (eventId !== null && eventId !== undefined) {
+      this.lastInterruptedEventId = Math.max(eventId, this.lastInterruptedEventId ?? eventId);
+    }
+
+    logger.audio(`Interrupting playback (event_id: ${eventId})`);
+    this.flushPlayback();
+  }
+
+  isInterruptedEvent(eventId) {
+    return this.lastInterruptedEventId !== null &&
+      eventId !== null && eventId !== undefined &&
+      eventId < this.lastInterruptedEventId;
+  }
+
+  // Event ids restart with every conversation
+  resetInterruption() {
+    this.lastInterruptedEventId = null;
+  }
+
+  // Jitter buffer figures cover one conversation at a time
+  resetPlaybackStats() {
+    this.jitterBuffer.resetStats();
+  }
+
+  stopPlayback() {
+    this.jitterBuffer.flush();
+    this.playbackSink.stop();
+  }
+
+  getStatus() {
+    return {
+      isRecording: this.isRecording,
+      isPlaying: this.isPlaying(),
+      backend: this.backend.name,
+      duplexMode: this.duplexMode,
+      uplinkFormat: this.uplinkFormat.name,
+      playbackFormat: this.playbackFormat.name,
+      capture: this.captureHub.getStatus(),
+      jitterBuffer: this.jitterBuffer.getStats(),
+      echoCanceller: this.echoCanceller ? this.echoCanceller.getStats() : null
+    };
+  }
+
+  // Resolve capture and playback devices by name; throws if either is missing
+  async checkAudioDevices() {
+    logger.info('Checking available audio devices...');
+
+    const captureDevice = await this.captureHub.resolveDevice();
+    const playbackDevice = await this.backend.resolveDevice('playback', config.audio.playbackDeviceName);
+
+    this.playbackDevice = playbackDevice;
+    this.playbackSink.setDevice(playbackDevice);
+
+    logger.info('Audio Device Configuration:');
+    logger.info(`• Backend: ${this.backend.name}`);
+    logger.info(`• Microphone: ${config.audio.deviceName} → ${captureDevice || 'default'}`);
+    logger.info(`• Output: ${config.audio.playbackDeviceName} → ${playbackDevice || 'default'}`);
+  }
+
   // Cleanup method
   cleanup() {
     logger.audio('Cleaning up audio manager...');
     
     this.stopRecording();
-    
-    // Clean up any remaining temporary audio files
-    this.tempAudioFiles.forEach(file => {
-      try {
-        unlinkSync(file);
-      } catch (error) {
-        logger.debug(`Failed to cleanup temp file ${file}:`, error);
-      }
-    });
-    
-    this.audioQueue = [];
-    this.tempAudioFiles = [];
-    this.isPlaying = false;
+    this.stopPlayback();
   }
 }
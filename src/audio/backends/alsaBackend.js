@@ -0,0 +1,39 @@
+import { resolveDevice } from '../deviceDiscovery.js';
+import { ProcessHandle } from './processHandle.js';
+
+// ALSA via arecord/aplay (default on the Pi)
+export class AlsaBackend {
+  constructor() {
+    this.name = 'alsa';
+  }
+
+  resolveDevice(direction, nameMatch) {
+    return resolveDevice(direction, nameMatch);
+  }
+
+  openCapture({ device, sampleRate, channels }) {
+    return new ProcessHandle('arecord', [
+      '-q',
+      '-D', device,
+      '-t', 'raw',
+      '-f', 'S16_LE',
+      '-c', channels.toString(),
+      '-r', sampleRate.toString(),
+      '-' // write PCM to stdout
+    ], 'capture');
+  }
+
+  openPlayback({ device, sampleRate, channels }) {
+    return new ProcessHandle('aplay', [
+      '-q',
+      '-D', device,
+      '-t', 'raw',
+      '-f', 'S16_LE',
+      '-c', channels.toString(),
+      '-r', sampleRate.toString(),
+      '-' // read PCM from stdin
+    ], 'playback');
+  }
+
+  close() {}
+}
@@ -0,0 +1,126 @@
+import { EventEmitter } from 'events';
+import { Writable } from 'stream';
+import { readFileSync, existsSync } from 'fs';
+import { logger } from '../../utils/logger.js';
+import { parseWav, WavFileWriter } from '../wav.js';
+import { Resampler } from '../resampler.js';
+import { PacedCapture } from './pacedCapture.js';
+
+// Convert WAV PCM to the capture format the rest of the pipeline expects
+function conformPcm(wav, sampleRate, channels) {
+  if (wav.sampleRate === sampleRate && wav.channels === channels) {
+    return wav.data;
+  }
+
+  const mono = new Resampler({
+    inputRate: wav.sampleRate,
+    outputRate: sampleRate,
+    inputChannels: wav.channels
+  }).process(wav.data);
+
+  const output = Buffer.alloc(mono.length * channels);
+  for (let i = 0; i < mono.length / 2; i++) {
+    const sample = mono.readInt16LE(i * 2);
+    for (let c = 0; c < channels; c++) {
+      output.writeInt16LE(sample, (i * channels + c) * 2);
+    }
+  }
+  return output;
+}
+
+class FilePlayback extends EventEmitter {
+  constructor(writer) {
+    super();
+    this.stream = new Writable({
+      write(chunk, encoding, callback) {
+        try {
+          writer.write(chunk);
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      }
+    });
+    this.stream.on('error', (error) => this.emit('error', error));
+  }
+
+  stop() {
+    this.stream.destroy();
+    this.emit('close', 0, null);
+  }
+}
+
+// WAV in, WAV out: runs the whole agent headless (containers, CI).
+// Capture plays the input WAV in real time (looping or followed by silence);
+// playback appends agent audio to the output WAV.
+export class FileBackend {
+  constructor(options) {
+    this.name = 'file';
+    this.inputPath = options.input;
+    this.outputPath = options.output;
+    this.loop = options.loop;
+    this.writer = null;
+    this.outputCount = 0;
+  }
+
+  async resolveDevice(direction) {
+    const path = direction === 'capture' ? this.inputPath : this.outputPath;
+
+    if (!path) {
+      throw new Error(`File audio backend needs ${direction === 'capture' ? 'AUDIO_INPUT_FILE' : 'AUDIO_OUTPUT_FILE'}`);
+    }
+    if (direction === 'capture' && !existsSync(path)) {
+      throw new Error(`Audio input file not found: ${path}`);
+    }
+    return path;
+  }
+
+  openCapture({ device, sampleRate, channels }) {
+    const pcm = conformPcm(parseWav(readFileSync(device)), sampleRate, channels);
+    let offset = 0;
+
+    if (pcm.length === 0) {
+      throw new Error(`Audio input file has no samples: ${device}`);
+    }
+
+    logger.audio(`Reading capture audio from ${device} (${pcm.length} bytes${this.loop ? ', looping' : ''})`);
+
+    return new PacedCapture({ sampleRate, channels }, (bytes) => {
+      const chunk = Buffer.alloc(bytes);
+
+      let written = 0;
+      while (written < bytes && offset < pcm.length) {
+        const copied = pcm.copy(chunk, written, offset, Math.min(pcm.length, offset + bytes - written));
+        written += copied;
+        offset += copied;
+
+        if (offset >= pcm.length && this.loop) {
+          offset = 0;
+        }
+      }
+
+      // Past the end of the file: silence
+      return chunk;
+    });
+  }
+
+  openPlayback({ device, sampleRate, channels }) {
+    // Keep appending to one file until the format changes
+    if (!this.writer || this.writer.sampleRate !== sampleRate || this.writer.channels !== channels) {
+      this.close();
+      this.outputCount++;
+      const path = this.outputCount === 1 ? device : device.replace(/(\.wav)?$/i, `-${this.outputCount}$1`);
+      this.writer = new WavFileWriter(path, sampleRate, channels);
+      logger.audio(`Writing playback audio to ${path}`);
+    }
+
+    return new FilePlayback(this.writer);
+  }
+
+  close() {
+    if (this.writer) {
+      this.writer.close();
+      this.writer = null;
+    }
+  }
+}
@@ -0,0 +1,33 @@
+import { config } from '../../config.js';
+import { AlsaBackend } from './alsaBackend.js';
+import { PulseBackend } from './pulseBackend.js';
+import { FileBackend } from './fileBackend.js';
+import { NullBackend } from './nullBackend.js';
+
+// Audio backend interface:
+//   name
+//   resolveDevice(direction, nameMatch) → Promise<device>
+//   openCapture({ device, sampleRate, channels }) → handle
+//   openPlayback({ device, sampleRate, channels }) → handle
+//   close()
+// Handles expose `stream` (PCM Readable for capture, Writable for playback)
+// and stop(), and emit 'error' and 'close' (code, signal).
+export function createAudioBackend(name = config.audio.backend) {
+  switch (name) {
+    case 'alsa':
+      return new AlsaBackend();
+
+    case 'pulse':
+    case 'pipewire':
+      return new PulseBackend();
+
+    case 'file':
+      return new FileBackend(config.audio.file);
+
+    case 'null':
+      return new NullBackend();
+
+    default:
+      throw new Error(`Unknown audio backend '${name}' (expected alsa, pulse, file or null)`);
+  }
+}
@@ -0,0 +1,41 @@
+import { EventEmitter } from 'events';
+import { Writable } from 'stream';
+import { PacedCapture } from './pacedCapture.js';
+
+// Discarding playback handle
+class NullPlayback extends EventEmitter {
+  constructor() {
+    super();
+    this.stream = new Writable({
+      write(chunk, encoding, callback) {
+        callback();
+      }
+    });
+  }
+
+  stop() {
+    this.stream.destroy();
+    this.emit('close', 0, null);
+  }
+}
+
+// Silence in, nothing out: runs the agent with no audio hardware at all
+export class NullBackend {
+  constructor() {
+    this.name = 'null';
+  }
+
+  async resolveDevice() {
+    return 'null';
+  }
+
+  openCapture(options) {
+    return new PacedCapture(options, (bytes) => Buffer.alloc(bytes));
+  }
+
+  openPlayback() {
+    return new NullPlayback();
+  }
+
+  close() {}
+}
@@ -0,0 +1,41 @@
+import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
+
+const CHUNK_MS = 100;
+
+// Capture handle for sources that are not real devices (files, silence).
+// Emits PCM at real-time pace so VAD timers and the capture watchdog behave
+// as they would with a microphone. `readChunk(bytes)` supplies the audio.
+export class PacedCapture extends EventEmitter {
+  constructor({ sampleRate, channels }, readChunk) {
+    super();
+    this.stream = new PassThrough();
+    this.readChunk = readChunk;
+    this.bytesPerMs = (sampleRate * channels * 2) / 1000;
+    this.frameSize = channels * 2;
+    this.startedAt = Date.now();
+    this.bytesEmitted = 0;
+
+    this.timer = setInterval(() => this.tick(), CHUNK_MS);
+  }
+
+  tick() {
+    // Catch up with wall-clock time rather than trusting timer accuracy
+    const due = Math.floor(((Date.now() - this.startedAt) * this.bytesPerMs) / this.frameSize) * this.frameSize;
+    const bytes = due - this.bytesEmitted;
+
+    if (bytes > 0) {
+      this.bytesEmitted += bytes;
+      this.stream.write(this.readChunk(bytes));
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.stream.end();
+      this.emit('close', 0, null);
+    }
+  }
+}
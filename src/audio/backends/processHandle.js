@@ -0,0 +1,45 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { logger } from '../../utils/logger.js';
+
+// Capture/playback handle backed by a child process (arecord, aplay, parec,
+// pacat). `stream` is the process stdout for capture and stdin for playback.
+// Emits 'error' and 'close' (code, signal).
+export class ProcessHandle extends EventEmitter {
+  constructor(command, args, direction) {
+    super();
+    this.command = command;
+    this.direction = direction;
+
+    const child = spawn(command, args, {
+      stdio: direction === 'capture' ? ['ignore', 'pipe', 'pipe'] : ['pipe', 'ignore', 'pipe']
+    });
+    this.process = child;
+    this.stream = direction === 'capture' ? child.stdout : child.stdin;
+
+    child.on('error', (error) => this.emit('error', error));
+    child.on('close', (code, signal) => this.emit('close', code, signal));
+
+    // EPIPE when the process dies with data still queued; 'close' reports it
+    this.stream.on('error', (error) => {
+      logger.debug(`${command} ${direction} stream error:`, error.message);
+    });
+
+    child.stderr.on('data', (data) => {
+      logger.debug(`${command} stderr:`, data.toString());
+    });
+
+    logger.audio(`Spawned ${command} ${args.join(' ')}`);
+  }
+
+  stop() {
+    try {
+      if (this.direction === 'playback') {
+        this.stream.destroy();
+      }
+      this.process.kill('SIGTERM');
+    } catch (error) {
+      logger.debug(`Error stopping ${this.command}:`, error);
+    }
+  }
+}
@@ -0,0 +1,40 @@
+import { resolvePulseDevice } from '../deviceDiscovery.js';
+import { ProcessHandle } from './processHandle.js';
+
+// PulseAudio / PipeWire (pipewire-pulse) via parec/pacat
+export class PulseBackend {
+  constructor() {
+    this.name = 'pulse';
+  }
+
+  resolveDevice(direction, nameMatch) {
+    return resolvePulseDevice(direction, nameMatch);
+  }
+
+  buildArgs({ device, sampleRate, channels }) {
+    const args = [
+      '--raw',
+      '--format=s16le',
+      `--rate=${sampleRate}`,
+      `--channels=${channels}`,
+      '--latency-msec=50',
+      '--client-name=elevenlabs-pi-agent'
+    ];
+
+    // null device = server default
+    if (device) {
+      args.push(`--device=${device}`);
+    }
+    return args;
+  }
+
+  openCapture(options) {
+    return new ProcessHandle('parec', this.buildArgs(options), 'capture');
+  }
+
+  openPlayback(options) {
+    return new ProcessHandle('pacat', this.buildArgs(options), 'playback');
+  }
+
+  close() {}
+}
@@ -0,0 +1,278 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+// Owns the single microphone capture (via the audio backend) and fans PCM
+// frames out to subscribers (VAD, uplink, pre-roll, meters, recorders).
+// If the device disappears (USB unplug/bus reset) capture keeps retrying
+// with backoff; subscribers stay attached and resume once it is back.
+export class CaptureHub {
+  constructor(backend) {
+    this.backend = backend;
+    this.isCapturing = false;
+    this.recording = null;
+    this.isDeviceResolved = false;
+    this.subscribers = new Map();
+
+    this.deviceLost = false;
+    this.retryAttempt = 0;
+    this.retryTimer = null;
+    this.watchdog = null;
+    this.lastDataAt = 0;
+
+    // Event handlers
+    this.eventHandlers = {
+      onDeviceLost: null,
+      onDeviceRestored: null,
+      onRetry: null
+    };
+
+    this.recordingOptions = {
+      sampleRate: config.audio.sampleRate,
+      channels: config.audio.channels,
+      device: null // Resolved from config.audio.deviceName at startup
+    };
+  }
+
+  setEventHandlers(handlers) {
+    Object.assign(this.eventHandlers, handlers);
+  }
+
+  setDevice(device) {
+    if (this.isCapturing && device !== this.recordingOptions.device) {
+      logger.warn('Capture device changed while capturing; restart capture to apply');
+    }
+    this.recordingOptions.device = device;
+    this.isDeviceResolved = true;
+  }
+
+  // Look the microphone up by name (card numbers can change after replugging)
+  async resolveDevice() {
+    const device = await this.backend.resolveDevice('capture', config.audio.deviceName);
+    this.setDevice(device);
+    return device;
+  }
+
+  start() {
+    if (this.isCapturing) {
+      return;
+    }
+
+    if (!this.isDeviceResolved) {
+      throw new Error('No capture device configured; call checkAudioDevices() first');
+    }
+
+    this.isCapturing = true;
+    this.deviceLost = false;
+    this.retryAttempt = 0;
+    this.openRecording();
+  }
+
+  openRecording() {
+    logger.audio('Starting shared microphone capture...', {
+      backend: this.backend.name,
+      device: this.recordingOptions.device,
+      sampleRate: this.recordingOptions.sampleRate,
+      channels: this.recordingOptions.channels
+    });
+
+    const recording = this.backend.openCapture(this.recordingOptions);
+    this.recording = recording;
+    this.lastDataAt = Date.now();
+
+    // Events from a recording we've already replaced are ignored
+    const isCurrent = () => this.recording === recording;
+
+    recording.on('error', (error) => {
+      if (isCurrent()) {
+        this.handleCaptureFailure(error);
+      }
+    });
+
+    recording.on('close', (code, signal) => {
+      if (isCurrent()) {
+        this.handleCaptureFailure(new Error(`Capture process exited (${signal || `code ${code}`})`));
+      }
+    });
+
+    recording.stream.on('data', (chunk) => {
+      if (!isCurrent()) {
+        return;
+      }
+
+      this.lastDataAt = Date.now();
+      if (this.deviceLost) {
+        this.handleDeviceRestored();
+      }
+      this.publish(chunk);
+    });
+
+    this.startWatchdog();
+  }
+
+  // A replugged or reset USB device can leave arecord alive but silent
+  startWatchdog() {
+    this.stopWatchdog();
+
+    const { stallTimeoutMs } = config.audio.captureRecovery;
+    this.watchdog = setInterval(() => {
+      const silentFor = Date.now() - this.lastDataAt;
+      if (silentFor > stallTimeoutMs) {
+        this.handleCaptureFailure(new Error(`No audio from capture device for ${silentFor}ms`));
+      }
+    }, stallTimeoutMs / 2);
+  }
+
+  stopWatchdog() {
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
+  }
+
+  closeRecording() {
+    this.stopWatchdog();
+
+    if (this.recording) {
+      const recording = this.recording;
+      this.recording = null;
+
+      try {
+        recording.stop();
+      } catch (error) {
+        logger.debug('Error stopping capture process:', error);
+      }
+    }
+  }
+
+  handleCaptureFailure(error) {
+    if (!this.isCapturing) {
+      return;
+    }
+
+    this.closeRecording();
+
+    if (!this.deviceLost) {
+      this.deviceLost = true;
+      this.retryAttempt = 0;
+      logger.error(`🎤 Microphone missing: ${error.message}`);
+
+      if (this.eventHandlers.onDeviceLost) {
+        this.eventHandlers.onDeviceLost(error);
+      }
+    } else {
+      logger.debug(`Capture retry failed: ${error.message}`);
+    }
+
+    this.scheduleRetry();
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer) {
+      return;
+    }
+
+    const { initialRetryDelayMs, maxRetryDelayMs } = config.audio.captureRecovery;
+    const delay = Math.min(initialRetryDelayMs * 2 ** this.retryAttempt, maxRetryDelayMs);
+    this.retryAttempt++;
+
+    logger.warn(`🎤 Microphone missing - retrying in ${delay}ms (attempt ${this.retryAttempt})`);
+
+    if (this.eventHandlers.onRetry) {
+      this.eventHandlers.onRetry(this.retryAttempt, delay);
+    }
+
+    this.retryTimer = setTimeout(() => this.retryCapture(), delay);
+  }
+
+  async retryCapture() {
+    this.retryTimer = null;
+
+    if (!this.isCapturing) {
+      return;
+    }
+
+    try {
+      await this.resolveDevice();
+      this.openRecording();
+    } catch (error) {
+      logger.debug(`Capture device not available yet: ${error.message}`);
+      this.scheduleRetry();
+    }
+  }
+
+  handleDeviceRestored() {
+    this.deviceLost = false;
+    this.retryAttempt = 0;
+    logger.info(`🎤 Microphone restored (${this.recordingOptions.device})`);
+
+    if (this.eventHandlers.onDeviceRestored) {
+      this.eventHandlers.onDeviceRestored(this.recordingOptions.device);
+    }
+  }
+
+  stop() {
+    if (!this.isCapturing) {
+      return;
+    }
+
+    logger.audio('Stopping shared microphone capture');
+    this.isCapturing = false;
+
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    this.closeRecording();
+  }
+
+  // Register a frame handler; returns a function that detaches it.
+  // Capture keeps running regardless of how many subscribers are attached.
+  subscribe(name, handler) {
+    if (this.subscribers.has(name)) {
+      logger.warn(`Capture subscriber '${name}' replaced`);
+    }
+
+    this.subscribers.set(name, handler);
+    logger.audio(`Capture subscriber attached: ${name} (${this.subscribers.size} total)`);
+
+    return () => this.unsubscribe(name, handler);
+  }
+
+  unsubscribe(name, handler = null) {
+    // Ignore stale unsubscribe calls for a handler that was since replaced
+    if (handler && this.subscribers.get(name) !== handler) {
+      return;
+    }
+
+    if (this.subscribers.delete(name)) {
+      logger.audio(`Capture subscriber detached: ${name} (${this.subscribers.size} total)`);
+    }
+  }
+
+  publish(chunk) {
+    if (chunk.length === 0) {
+      return;
+    }
+
+    for (const [name, handler] of this.subscribers) {
+      try {
+        handler(chunk);
+      } catch (error) {
+        // One misbehaving subscriber must not starve the others
+        logger.error(`Capture subscriber '${name}' failed:`, error);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      isCapturing: this.isCapturing,
+      device: this.recordingOptions.device,
+      backend: this.backend.name,
+      deviceState: this.deviceLost ? 'missing' : 'ok',
+      retryAttempt: this.retryAttempt,
+      subscribers: [...this.subscribers.keys()]
+    };
+  }
+}
@@ -0,0 +1,174 @@
+import { execFile } from 'child_process';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { logger } from '../utils/logger.js';
+
+// ALSA device discovery: resolves capture/playback devices by name so card
+// order changes after a reboot don't break the agent. Parsing is split from
+// command execution so it can be exercised against captured output.
+
+// "card 1: USB [ATR2100-USB], device 0: USB Audio [USB Audio]"
+const LIST_LINE_PATTERN = /^card (\d+): (\S+) \[(.*?)\], device (\d+): (.*?) \[(.*?)\]/;
+
+// " 1 [USB            ]: USB-Audio - ATR2100-USB"
+const PROC_CARD_PATTERN = /^\s*(\d+) \[(\S+)\s*\]: (.*)$/;
+
+// Names that are already ALSA device strings are used as-is
+const ALSA_DEVICE_PATTERN = /^(default|sysdefault|(plug)?hw:|dsnoop|dmix|pulse|pipewire)/;
+
+// Parse `arecord -l` / `aplay -l` output
+export function parseDeviceList(output) {
+  const devices = [];
+
+  for (const line of output.split('\n')) {
+    const match = LIST_LINE_PATTERN.exec(line.trim());
+    if (match) {
+      devices.push({
+        card: parseInt(match[1], 10),
+        cardId: match[2],
+        cardName: match[3],
+        device: parseInt(match[4], 10),
+        deviceId: match[5],
+        deviceName: match[6]
+      });
+    }
+  }
+
+  return devices;
+}
+
+// Parse /proc/asound/cards (no per-device info, so device 0 is assumed)
+export function parseProcCards(text) {
+  const devices = [];
+
+  for (const line of text.split('\n')) {
+    const match = PROC_CARD_PATTERN.exec(line);
+    if (match) {
+      devices.push({
+        card: parseInt(match[1], 10),
+        cardId: match[2],
+        cardName: match[3].trim(),
+        device: 0,
+        deviceId: '',
+        deviceName: ''
+      });
+    }
+  }
+
+  return devices;
+}
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Case/punctuation-insensitive substring match against card and device names
+export function findDevice(devices, nameMatch) {
+  const wanted = normalize(nameMatch);
+
+  return devices.find((entry) =>
+    [entry.cardId, entry.cardName, entry.deviceId, entry.deviceName]
+      .some((name) => name && normalize(name).includes(wanted))
+  ) || null;
+}
+
+// Card id (not index) keeps the device string stable across reboots
+export function toAlsaDevice(entry) {
+  return `plughw:CARD=${entry.cardId},DEV=${entry.device}`;
+}
+
+export function describeDevices(devices) {
+  if (devices.length === 0) {
+    return 'none';
+  }
+  return devices
+    .map((entry) => `card ${entry.card} [${entry.cardId}] ${entry.cardName}, device ${entry.device}`)
+    .join('; ');
+}
+
+function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: 5000 }, (error, stdout) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// direction: 'capture' (arecord -l) or 'playback' (aplay -l)
+export async function listDevices(direction, options = {}) {
+  const run = options.runCommand || runCommand;
+  const procRoot = options.procRoot || '/proc';
+  const command = direction === 'capture' ? 'arecord' : 'aplay';
+
+  try {
+    return parseDeviceList(await run(command, ['-l']));
+  } catch (error) {
+    logger.debug(`${command} -l failed, falling back to /proc/asound/cards:`, error.message);
+  }
+
+  const cards = await readFile(join(procRoot, 'asound', 'cards'), 'utf8');
+  return parseProcCards(cards);
+}
+
+export async function resolveDevice(direction, nameMatch, options = {}) {
+  if (ALSA_DEVICE_PATTERN.test(nameMatch)) {
+    return nameMatch;
+  }
+
+  const devices = await listDevices(direction, options);
+  const match = findDevice(devices, nameMatch);
+
+  if (!match) {
+    throw new Error(
+      `No ${direction} device matching '${nameMatch}'. Available ${direction} devices: ${describeDevices(devices)}`
+    );
+  }
+
+  const alsaDevice = toAlsaDevice(match);
+  logger.audio(`Resolved ${direction} device '${nameMatch}' → ${alsaDevice} (${match.cardName})`);
+  return alsaDevice;
+}
+
+// Parse `pactl list short sources|sinks` (PulseAudio or PipeWire-pulse):
+// "<index>\t<name>\t<driver>\t<sample spec>\t<state>"
+export function parsePulseDeviceList(output) {
+  return output
+    .split('\n')
+    .map((line) => line.split('\t'))
+    .filter((fields) => fields.length >= 2 && /^\d+$/.test(fields[0]))
+    .map((fields) => ({
+      index: parseInt(fields[0], 10),
+      name: fields[1],
+      driver: fields[2] || '',
+      sampleSpec: fields[3] || '',
+      state: fields[4] || ''
+    }));
+}
+
+export async function resolvePulseDevice(direction, nameMatch, options = {}) {
+  // 'default' means the server's default source/sink (no --device argument)
+  if (!nameMatch || nameMatch === 'default') {
+    return null;
+  }
+
+  const run = options.runCommand || runCommand;
+  const kind = direction === 'capture' ? 'sources' : 'sinks';
+  const devices = parsePulseDeviceList(await run('pactl', ['list', 'short', kind]))
+    // Monitor sources record what is playing, never the microphone
+    .filter((entry) => direction !== 'capture' || !entry.name.endsWith('.monitor'));
+
+  const wanted = normalize(nameMatch);
+  const match = devices.find((entry) => normalize(entry.name).includes(wanted));
+
+  if (!match) {
+    const available = devices.map((entry) => entry.name).join('; ') || 'none';
+    throw new Error(`No PulseAudio ${kind.slice(0, -1)} matching '${nameMatch}'. Available ${kind}: ${available}`);
+  }
+
+  logger.audio(`Resolved ${direction} device '${nameMatch}' → ${match.name}`);
+  return match.name;
+}
@@ -0,0 +1,153 @@
+import { logger } from '../utils/logger.js';
+
+// Acoustic echo canceller for full-duplex conversations.
+// A time-domain NLMS adaptive filter models the speaker→room→mic path using
+// the agent audio we sent to playback as the far-end reference, and subtracts
+// the predicted echo from the uplink. Both signals are 16-bit mono PCM at the
+// same sample rate. Reference and mic audio are lined up on a shared
+// wall-clock timeline, offset by a configurable bulk delay covering the
+// ALSA output/input buffering.
+export class EchoCanceller {
+  constructor(options) {
+    this.sampleRate = options.sampleRate;
+    this.filterLength = Math.max(1, Math.round((options.filterLengthMs * this.sampleRate) / 1000));
+    this.delaySamples = Math.round((options.delayMs * this.sampleRate) / 1000);
+    this.stepSize = options.stepSize ?? 0.5;
+    // Mic louder than this fraction of the far-end peak = user talking over the agent
+    this.doubleTalkRatio = options.doubleTalkRatio ?? 0.5;
+
+    this.weights = new Float32Array(this.filterLength);
+
+    // Far-end reference ring, indexed by absolute sample position
+    this.ringSize = this.sampleRate * 4;
+    this.ring = new Float32Array(this.ringSize);
+    this.writtenUntil = -1;
+
+    this.stats = {
+      framesProcessed: 0,
+      framesWithEcho: 0,
+      doubleTalkFrames: 0
+    };
+  }
+
+  msToSampleIndex(ms) {
+    return Math.round((ms * this.sampleRate) / 1000);
+  }
+
+  // Record agent audio that starts playing at the given wall-clock time
+  addReference(buffer, startTimeMs) {
+    const samples = buffer.length >> 1;
+    let index = this.msToSampleIndex(startTimeMs);
+
+    // Anything between the previous chunk and this one was silence
+    if (this.writtenUntil >= 0 && index > this.writtenUntil + 1) {
+      const gap = Math.min(index - this.writtenUntil - 1, this.ringSize);
+      for (let i = 1; i <= gap; i++) {
+        this.ring[(this.writtenUntil + i) % this.ringSize] = 0;
+      }
+    }
+
+    for (let i = 0; i < samples; i++, index++) {
+      this.ring[index % this.ringSize] = buffer.readInt16LE(i * 2) / 32768;
+    }
+
+    this.writtenUntil = Math.max(this.writtenUntil, index - 1);
+  }
+
+  readReference(index) {
+    if (index < 0 || index > this.writtenUntil || index <= this.writtenUntil - this.ringSize) {
+      return 0;
+    }
+    return this.ring[index % this.ringSize];
+  }
+
+  // Forget queued reference audio (playback was flushed); the learned
+  // echo path is kept since the room has not changed
+  resetReference() {
+    this.ring.fill(0);
+    this.writtenUntil = -1;
+  }
+
+  // Remove echo from a mic chunk captured starting at the given time
+  process(buffer, captureStartMs) {
+    const samples = buffer.length >> 1;
+    const length = this.filterLength;
+    const firstRef = this.msToSampleIndex(captureStartMs) - this.delaySamples;
+
+    this.stats.framesProcessed++;
+
+    // Contiguous copy of the reference covering every filter window in this chunk
+    const reference = new Float32Array(samples + length - 1);
+    let peak = 0;
+    for (let i = 0; i < reference.length; i++) {
+      const value = this.readReference(firstRef - length + 1 + i);
+      reference[i] = value;
+      peak = Math.max(peak, Math.abs(value));
+    }
+
+    // Far end silent: nothing to cancel
+    if (peak === 0) {
+      return buffer;
+    }
+
+    this.stats.framesWithEcho++;
+
+    let energy = 0;
+    for (let k = 0; k < length - 1; k++) {
+      energy += reference[k] * reference[k];
+    }
+
+    const output = Buffer.alloc(buffer.length);
+    let doubleTalk = false;
+
+    for (let n = 0; n < samples; n++) {
+      const newest = n + length - 1;
+      energy += reference[newest] * reference[newest];
+
+      const near = buffer.readInt16LE(n * 2) / 32768;
+
+      let estimate = 0;
+      for (let k = 0; k < length; k++) {
+        estimate += this.weights[k] * reference[newest - k];
+      }
+
+      const error = near - estimate;
+
+      // Freeze adaptation while the user is talking so the filter does not diverge
+      if (Math.abs(near) > this.doubleTalkRatio * peak) {
+        doubleTalk = true;
+      } else if (energy > 1e-6) {
+        const gain = (this.stepSize * error) / (energy + 1e-6);
+        for (let k = 0; k < length; k++) {
+          this.weights[k] += gain * reference[newest - k];
+        }
+      }
+
+      const oldest = reference[n];
+      energy = Math.max(0, energy - oldest * oldest);
+
+      const sample = Math.max(-32768, Math.min(32767, Math.round(error * 32768)));
+      output.writeInt16LE(sample, n * 2);
+    }
+
+    if (doubleTalk) {
+      this.stats.doubleTalkFrames++;
+    }
+
+    return output;
+  }
+
+  reset() {
+    this.weights.fill(0);
+    this.resetReference();
+    logger.audio('Echo canceller reset');
+  }
+
+  getStats() {
+    return {
+      filterLength: this.filterLength,
+      delaySamples: this.delaySamples,
+      ...this.stats
+    };
+  }
+}
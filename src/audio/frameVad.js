@@ -0,0 +1,187 @@
+import { Resampler } from './resampler.js';
+import { NoiseFloorTracker } from './noiseFloor.js';
+import { fft } from './fft.js';
+
+// Frame-based voice activity detector. Capture audio is downmixed and
+// resampled to 16 kHz, cut into 20 ms frames, and each frame gets a speech
+// probability from three features:
+//   - energy above the adaptive noise floor
+//   - zero-crossing rate (hum and hiss fall outside the speech range)
+//   - share of spectral energy in the 300–3400 Hz speech band
+// A voting window over recent frames turns probabilities into a speech
+// decision, so short transients (claps, door slams) don't count as speech.
+
+const ANALYSIS_RATE = 16000;
+const FRAME_SIZE = 320; // 20 ms
+const FFT_SIZE = 512;
+const SPEECH_BAND_HZ = [300, 3400];
+const ZCR_RANGE = [0.01, 0.35]; // Crossings per sample: a 80–100 Hz voice fundamental up to fricatives
+
+// Hann window for spectral analysis
+const WINDOW = new Float64Array(FRAME_SIZE);
+for (let i = 0; i < FRAME_SIZE; i++) {
+  WINDOW[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1));
+}
+
+// Fraction of (non-DC) spectral energy inside the speech band
+export function speechBandRatio(frame) {
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  for (let i = 0; i < frame.length; i++) {
+    re[i] = frame[i] * WINDOW[i];
+  }
+
+  fft(re, im);
+
+  const binHz = ANALYSIS_RATE / FFT_SIZE;
+  const low = Math.ceil(SPEECH_BAND_HZ[0] / binHz);
+  const high = Math.floor(SPEECH_BAND_HZ[1] / binHz);
+
+  let band = 0;
+  let total = 0;
+  for (let k = 1; k < FFT_SIZE / 2; k++) {
+    const power = re[k] * re[k] + im[k] * im[k];
+    total += power;
+    if (k >= low && k <= high) {
+      band += power;
+    }
+  }
+
+  return total > 0 ? band / total : 0;
+}
+
+export function zeroCrossingRate(frame) {
+  let crossings = 0;
+  for (let i = 1; i < frame.length; i++) {
+    if ((frame[i] >= 0) !== (frame[i - 1] >= 0)) {
+      crossings++;
+    }
+  }
+  return crossings / (frame.length - 1);
+}
+
+function logistic(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+export function frameRms(frame) {
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) {
+    sum += frame[i] * frame[i];
+  }
+  return Math.sqrt(sum / frame.length);
+}
+
+export class FrameVad {
+  constructor(options) {
+    this.resampler = new Resampler({
+      inputRate: options.sampleRate,
+      outputRate: ANALYSIS_RATE,
+      inputChannels: options.channels
+    });
+    this.noiseFloor = new NoiseFloorTracker(options);
+
+    // Voting: speech starts when startVotes of the last windowFrames frames
+    // are speech-like, and ends when fewer than releaseVotes are
+    this.windowFrames = options.windowFrames ?? 10;
+    this.startVotes = options.startVotes ?? 6;
+    this.releaseVotes = options.releaseVotes ?? 3;
+    this.probabilityThreshold = options.probabilityThreshold ?? 0.5;
+
+    this.reset();
+  }
+
+  reset() {
+    this.resampler.reset();
+    this.noiseFloor.reset();
+    this.pending = new Float32Array(0);
+    this.votes = [];
+    this.isSpeech = false;
+    this.lastFrame = { rms: 0, zcr: 0, bandRatio: 0, probability: 0 };
+  }
+
+  // Speech probability for one frame (logistic combination of the features)
+  scoreFrame(frame) {
+    const rms = frameRms(frame);
+    const zcr = zeroCrossingRate(frame);
+    const bandRatio = speechBandRatio(frame);
+
+    // Hysteresis: the lower release threshold applies once speech has started
+    const floor = Math.max(this.noiseFloor.noiseFloor, 1);
+    const threshold = this.isSpeech ? this.noiseFloor.getReleaseThreshold() : this.noiseFloor.getStartThreshold();
+    const thresholdDb = 20 * Math.log10(threshold / floor);
+    const snrDb = 20 * Math.log10(Math.max(rms, 1) / floor);
+    const zcrInRange = zcr >= ZCR_RANGE[0] && zcr <= ZCR_RANGE[1];
+
+    // Loud is not enough: spectral shape and ZCR scale the energy score down
+    // for hum (little speech-band energy, few crossings) and hiss (too many)
+    const energyScore = logistic(0.8 * (snrDb - thresholdDb));
+    const bandScore = logistic(12 * (bandRatio - 0.15));
+    const zcrScore = zcrInRange ? 1 : 0.3;
+    const probability = this.noiseFloor.isCalibrating() ? 0 : energyScore * bandScore * zcrScore;
+
+    return { rms, zcr, bandRatio, probability };
+  }
+
+  // Feed capture PCM; returns per-chunk results (null until a full frame is
+  // available). onFrame(samples, isSpeech) sees each 16 kHz frame after voting.
+  process(chunk, onFrame = null) {
+    const mono = this.resampler.process(chunk);
+    const samples = new Float32Array(this.pending.length + mono.length / 2);
+    samples.set(this.pending);
+    for (let i = 0; i < mono.length / 2; i++) {
+      samples[this.pending.length + i] = mono.readInt16LE(i * 2);
+    }
+
+    const frameCount = Math.floor(samples.length / FRAME_SIZE);
+    this.pending = samples.slice(frameCount * FRAME_SIZE);
+
+    if (frameCount === 0) {
+      return null;
+    }
+
+    let probabilitySum = 0;
+    let rmsSum = 0;
+
+    for (let f = 0; f < frameCount; f++) {
+      const frame = samples.subarray(f * FRAME_SIZE, (f + 1) * FRAME_SIZE);
+      const result = this.scoreFrame(frame);
+
+      this.vote(result.probability >= this.probabilityThreshold);
+      this.noiseFloor.update(result.rms, (FRAME_SIZE / ANALYSIS_RATE) * 1000, this.isSpeech);
+
+      if (onFrame) {
+        onFrame(frame, this.isSpeech);
+      }
+
+      probabilitySum += result.probability;
+      rmsSum += result.rms;
+      this.lastFrame = result;
+    }
+
+    return {
+      frames: frameCount,
+      probability: probabilitySum / frameCount,
+      rms: rmsSum / frameCount,
+      isSpeech: this.isSpeech
+    };
+  }
+
+  vote(isSpeechFrame) {
+    this.votes.push(isSpeechFrame);
+    if (this.votes.length > this.windowFrames) {
+      this.votes.shift();
+    }
+
+    const speechVotes = this.votes.filter(Boolean).length;
+    if (!this.isSpeech && speechVotes >= this.startVotes) {
+      this.isSpeech = true;
+    } else if (this.isSpeech && speechVotes < this.releaseVotes) {
+      this.isSpeech = false;
+    }
+  }
+
+  static get frameDurationMs() {
+    return (FRAME_SIZE / ANALYSIS_RATE) * 1000;
+  }
+}
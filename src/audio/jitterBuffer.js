@@ -0,0 +1,187 @@
+import { logger } from '../utils/logger.js';
+
+const DEPTH_SAMPLE_INTERVAL_MS = 250;
+const DEPTH_HISTORY_SIZE = 240; // ~1 minute at one sample per 250ms
+
+// Jitter buffer in front of the playback sink. Agent audio arrives in
+// uneven network bursts; at the start of each response (and after an
+// underrun) audio is held until the target depth is reached, so a late
+// packet does not leave an audible gap. Once playing, chunks go straight
+// to the sink, whose pipe acts as the rest of the buffer.
+export class JitterBuffer {
+  constructor(sink, options, onWrite = null) {
+    this.sink = sink;
+    this.onWrite = onWrite;
+    this.targetDepthMs = options.targetDepthMs;
+    this.maxDepthMs = options.maxDepthMs;
+    // Don't wait for the target forever on short responses
+    this.prebufferTimeoutMs = options.prebufferTimeoutMs;
+    // A chunk arriving this soon after the sink ran dry counts as an underrun
+    this.underrunWindowMs = options.underrunWindowMs ?? 1000;
+
+    this.state = 'idle'; // idle | buffering | playing
+    this.held = [];
+    this.heldBytes = 0;
+    this.prebufferTimer = null;
+    this.drainWaiters = [];
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      chunksReceived: 0,
+      underruns: 0,
+      overruns: 0,
+      minDepthMs: null,
+      maxDepthMs: 0,
+      averageDepthMs: 0
+    };
+    this.depthHistory = [];
+    this.lastDepthSampleAt = 0;
+  }
+
+  getHeldMs() {
+    return this.sink.bytesToMs(this.heldBytes);
+  }
+
+  // Audio held here plus audio queued in the sink
+  getDepthMs() {
+    return this.getHeldMs() + this.sink.getQueuedMs();
+  }
+
+  push(buffer) {
+    if (!buffer || buffer.length === 0) {
+      return;
+    }
+
+    this.stats.chunksReceived++;
+
+    if (this.state === 'playing' && !this.sink.isPlaying()) {
+      const idleForMs = Date.now() - this.sink.playheadEndsAt;
+
+      if (idleForMs < this.underrunWindowMs) {
+        // Sink ran dry mid-response: this chunk was late
+        this.stats.underruns++;
+        logger.audio(`Playback underrun (${Math.round(idleForMs)}ms gap) - rebuffering`);
+      }
+      this.state = 'idle';
+    }
+
+    if (this.state === 'playing') {
+      this.write(buffer);
+    } else {
+      this.hold(buffer);
+    }
+
+    const depthMs = this.getDepthMs();
+    if (depthMs > this.maxDepthMs) {
+      this.stats.overruns++;
+      logger.audio(`Playback buffer overrun: ${Math.round(depthMs)}ms queued (max ${this.maxDepthMs}ms)`);
+    }
+
+    this.recordDepth(depthMs);
+  }
+
+  hold(buffer) {
+    this.held.push(buffer);
+    this.heldBytes += buffer.length;
+
+    if (this.state === 'idle') {
+      this.state = 'buffering';
+      this.prebufferTimer = setTimeout(() => this.release(), this.prebufferTimeoutMs);
+    }
+
+    if (this.getHeldMs() >= this.targetDepthMs) {
+      this.release();
+    }
+  }
+
+  // Start playout: hand everything held to the sink
+  release() {
+    if (this.prebufferTimer) {
+      clearTimeout(this.prebufferTimer);
+      this.prebufferTimer = null;
+    }
+
+    if (this.state !== 'buffering') {
+      return;
+    }
+
+    logger.audio(`Starting playout with ${Math.round(this.getHeldMs())}ms buffered`);
+    this.state = 'playing';
+
+    const held = this.held;
+    this.held = [];
+    this.heldBytes = 0;
+    held.forEach((buffer) => this.write(buffer));
+
+    const waiters = this.drainWaiters;
+    this.drainWaiters = [];
+    waiters.forEach((resolve) => resolve(this.sink.drain()));
+  }
+
+  write(buffer) {
+    const startsAt = this.sink.write(buffer);
+    if (this.onWrite) {
+      this.onWrite(buffer, startsAt);
+    }
+  }
+
+  hasPending() {
+    return this.heldBytes > 0;
+  }
+
+  // Resolve once held and queued audio has all been played
+  drain() {
+    if (this.state !== 'buffering') {
+      return this.sink.drain();
+    }
+    return new Promise((resolve) => this.drainWaiters.push(resolve));
+  }
+
+  // Drop held audio (interruption / conversation end)
+  flush() {
+    if (this.prebufferTimer) {
+      clearTimeout(this.prebufferTimer);
+      this.prebufferTimer = null;
+    }
+
+    this.held = [];
+    this.heldBytes = 0;
+    this.state = 'idle';
+
+    const waiters = this.drainWaiters;
+    this.drainWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  recordDepth(depthMs) {
+    const stats = this.stats;
+    stats.minDepthMs = stats.minDepthMs === null ? depthMs : Math.min(stats.minDepthMs, depthMs);
+    stats.maxDepthMs = Math.max(stats.maxDepthMs, depthMs);
+    // Exponential moving average over roughly the last 20 chunks
+    stats.averageDepthMs = stats.chunksReceived === 1 ? depthMs : stats.averageDepthMs * 0.95 + depthMs * 0.05;
+
+    const now = Date.now();
+    if (now - this.lastDepthSampleAt >= DEPTH_SAMPLE_INTERVAL_MS) {
+      this.lastDepthSampleAt = now;
+      this.depthHistory.push({ timestamp: now, depthMs: Math.round(depthMs) });
+      if (this.depthHistory.length > DEPTH_HISTORY_SIZE) {
+        this.depthHistory.shift();
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      targetDepthMs: this.targetDepthMs,
+      currentDepthMs: Math.round(this.getDepthMs()),
+      ...this.stats,
+      minDepthMs: Math.round(this.stats.minDepthMs ?? 0),
+      maxDepthMs: Math.round(this.stats.maxDepthMs),
+      averageDepthMs: Math.round(this.stats.averageDepthMs),
+      depthHistory: this.depthHistory
+    };
+  }
+}
@@ -0,0 +1,111 @@
+import { fft } from './fft.js';
+
+// Mel-frequency cepstral coefficients for 16 kHz, 20 ms frames (the frame
+// VAD's analysis frames). Used by the wake-word matcher.
+
+const SAMPLE_RATE = 16000;
+const FFT_SIZE = 512;
+const MEL_FILTERS = 26;
+const MEL_RANGE_HZ = [100, 7600];
+const PRE_EMPHASIS = 0.97;
+export const MFCC_COEFFICIENTS = 12; // c1..c12; c0 (loudness) is dropped
+
+function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+  return 700 * (10 ** (mel / 2595) - 1);
+}
+
+// Triangular filters evenly spaced on the mel scale, as [startBin, weights[]]
+function buildFilterBank() {
+  const binHz = SAMPLE_RATE / FFT_SIZE;
+  const lowMel = hzToMel(MEL_RANGE_HZ[0]);
+  const highMel = hzToMel(MEL_RANGE_HZ[1]);
+  const edges = [];
+  for (let i = 0; i < MEL_FILTERS + 2; i++) {
+    edges.push(melToHz(lowMel + ((highMel - lowMel) * i) / (MEL_FILTERS + 1)) / binHz);
+  }
+
+  const filters = [];
+  for (let m = 1; m <= MEL_FILTERS; m++) {
+    const start = Math.floor(edges[m - 1]);
+    const end = Math.ceil(edges[m + 1]);
+    const weights = [];
+    for (let k = start; k <= end; k++) {
+      const rising = (k - edges[m - 1]) / (edges[m] - edges[m - 1]);
+      const falling = (edges[m + 1] - k) / (edges[m + 1] - edges[m]);
+      weights.push(Math.max(0, Math.min(rising, falling)));
+    }
+    filters.push({ start, weights });
+  }
+  return filters;
+}
+
+const FILTER_BANK = buildFilterBank();
+
+// DCT-II basis rows for c1..c12
+const DCT = [];
+for (let c = 1; c <= MFCC_COEFFICIENTS; c++) {
+  const row = new Float64Array(MEL_FILTERS);
+  for (let m = 0; m < MEL_FILTERS; m++) {
+    row[m] = Math.cos((Math.PI * c * (m + 0.5)) / MEL_FILTERS);
+  }
+  DCT.push(row);
+}
+
+let window = null;
+
+// frame: Float32Array of 16 kHz samples (int16 scale)
+export function computeMfcc(frame) {
+  if (!window || window.length !== frame.length) {
+    window = new Float64Array(frame.length);
+    for (let i = 0; i < frame.length; i++) {
+      window[i] = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (frame.length - 1)); // Hamming
+    }
+  }
+
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  for (let i = 0; i < frame.length && i < FFT_SIZE; i++) {
+    const emphasized = frame[i] - PRE_EMPHASIS * (i > 0 ? frame[i - 1] : frame[i]);
+    re[i] = (emphasized / 32768) * window[i];
+  }
+
+  fft(re, im);
+
+  const logEnergies = new Float64Array(MEL_FILTERS);
+  FILTER_BANK.forEach(({ start, weights }, m) => {
+    let energy = 0;
+    for (let j = 0; j < weights.length; j++) {
+      const k = start + j;
+      energy += weights[j] * (re[k] * re[k] + im[k] * im[k]);
+    }
+    logEnergies[m] = Math.log(energy + 1e-10);
+  });
+
+  return DCT.map((row) => {
+    let sum = 0;
+    for (let m = 0; m < MEL_FILTERS; m++) {
+      sum += row[m] * logEnergies[m];
+    }
+    return sum;
+  });
+}
+
+// Cepstral mean normalization: removes the fixed colouring of the mic and room
+export function normalizeFeatures(frames) {
+  if (frames.length === 0) {
+    return frames;
+  }
+
+  const mean = new Array(frames[0].length).fill(0);
+  for (const frame of frames) {
+    frame.forEach((value, i) => {
+      mean[i] += value / frames.length;
+    });
+  }
+
+  return frames.map((frame) => frame.map((value, i) => value - mean[i]));
+}
@@ -0,0 +1,66 @@
+// Tracks the ambient noise floor from per-frame RMS levels and derives
+// speech thresholds relative to it, with hysteresis: a frame must exceed
+// the (higher) start threshold to begin speech, and stays speech until it
+// drops below the (lower) release threshold.
+export class NoiseFloorTracker {
+  constructor(options) {
+    this.minThreshold = options.minThreshold;
+    this.startRatio = options.startRatio;
+    this.releaseRatio = options.releaseRatio;
+    this.calibrationMs = options.calibrationMs;
+    // Time constants: the floor drops quickly when the room gets quieter,
+    // rises slowly during non-speech, and very slowly under sustained "speech"
+    // so a noise source that never stops is eventually absorbed
+    this.fallTimeMs = options.fallTimeMs ?? 200;
+    this.riseTimeMs = options.riseTimeMs ?? 5000;
+    this.speechRiseTimeMs = options.speechRiseTimeMs ?? 30000;
+
+    this.reset();
+  }
+
+  reset() {
+    this.noiseFloor = 0;
+    this.calibratedMs = 0;
+    this.calibrationSum = 0;
+  }
+
+  isCalibrating() {
+    return this.calibratedMs < this.calibrationMs;
+  }
+
+  getStartThreshold() {
+    return Math.max(this.minThreshold, this.noiseFloor * this.startRatio);
+  }
+
+  getReleaseThreshold() {
+    return Math.max(this.minThreshold * (this.releaseRatio / this.startRatio), this.noiseFloor * this.releaseRatio);
+  }
+
+  // Is this level speech, given whether we're currently in speech?
+  isSpeech(rms, inSpeech) {
+    if (this.isCalibrating()) {
+      return false;
+    }
+    return rms > (inSpeech ? this.getReleaseThreshold() : this.getStartThreshold());
+  }
+
+  update(rms, durationMs, inSpeech) {
+    // Initial calibration: average level over the first calibrationMs
+    if (this.isCalibrating()) {
+      this.calibrationSum += rms * durationMs;
+      this.calibratedMs += durationMs;
+      this.noiseFloor = this.calibrationSum / this.calibratedMs;
+      return;
+    }
+
+    let timeConstant;
+    if (rms < this.noiseFloor) {
+      timeConstant = this.fallTimeMs;
+    } else {
+      timeConstant = inSpeech ? this.speechRiseTimeMs : this.riseTimeMs;
+    }
+
+    const alpha = 1 - Math.exp(-durationMs / timeConstant);
+    this.noiseFloor += (rms - this.noiseFloor) * alpha;
+  }
+}
@@ -0,0 +1,164 @@
+import { logger } from '../utils/logger.js';
+
+// Long-lived playback stream (aplay/pacat stdin, or a backend's equivalent)
+// fed raw PCM. Chunks are written as they arrive so consecutive agent audio
+// plays back-to-back without per-chunk process start-up or temp files.
+export class PlaybackSink {
+  constructor(backend, options) {
+    this.backend = backend;
+    this.device = options.device;
+    this.sampleRate = options.sampleRate;
+    this.channels = options.channels;
+    // Extra wait on drain() for audio still sitting in the device buffer
+    this.drainMarginMs = options.drainMarginMs ?? 150;
+
+    this.handle = null;
+    this.isStopped = false;
+    this.playheadEndsAt = 0;
+    this.drainWaiters = new Set();
+  }
+
+  setDevice(device) {
+    if (device !== this.device) {
+      this.terminate();
+      this.device = device;
+    }
+  }
+
+  // Change the PCM format; a running stream is reopened on the next write
+  configure({ sampleRate, channels }) {
+    if (sampleRate === this.sampleRate && channels === this.channels) {
+      return;
+    }
+
+    this.terminate();
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+  }
+
+  bytesToMs(bytes) {
+    return (bytes / (this.sampleRate * this.channels * 2)) * 1000;
+  }
+
+  // Open the backend playback stream if it isn't already running
+  open() {
+    if (this.handle) {
+      return;
+    }
+
+    logger.audio('Opening playback sink', {
+      backend: this.backend.name,
+      device: this.device,
+      sampleRate: this.sampleRate,
+      channels: this.channels
+    });
+
+    const handle = this.backend.openPlayback({
+      device: this.device,
+      sampleRate: this.sampleRate,
+      channels: this.channels
+    });
+    this.handle = handle;
+    this.playheadEndsAt = 0;
+
+    handle.on('close', (code, signal) => {
+      if (this.handle === handle) {
+        this.handle = null;
+        this.playheadEndsAt = 0;
+        this.resolveDrainWaiters();
+      }
+
+      if (code === 0 || signal) {
+        logger.audio('Playback sink closed');
+      } else {
+        logger.error(`Playback process exited with code ${code}`);
+      }
+    });
+
+    handle.on('error', (error) => {
+      logger.error('Playback error:', error);
+    });
+  }
+
+  // Queue PCM for playback; returns the estimated wall-clock time it starts playing
+  write(buffer) {
+    if (this.isStopped || !buffer || buffer.length === 0) {
+      return null;
+    }
+
+    this.open();
+    this.handle.stream.write(buffer);
+
+    const startsAt = Math.max(Date.now(), this.playheadEndsAt);
+    this.playheadEndsAt = startsAt + this.bytesToMs(buffer.length);
+    return startsAt;
+  }
+
+  // Audio written but not yet played
+  getQueuedMs() {
+    return this.handle ? Math.max(0, this.playheadEndsAt - Date.now()) : 0;
+  }
+
+  isPlaying() {
+    return this.handle !== null && this.playheadEndsAt > Date.now();
+  }
+
+  // Resolve once everything written so far has been played
+  drain() {
+    const remaining = this.playheadEndsAt - Date.now();
+
+    if (!this.handle || remaining <= 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const waiter = {
+        resolve,
+        timer: setTimeout(() => {
+          this.drainWaiters.delete(waiter);
+          resolve();
+        }, remaining + this.drainMarginMs)
+      };
+      this.drainWaiters.add(waiter);
+    });
+  }
+
+  // Drop all buffered audio immediately; the sink reopens on the next write
+  flush() {
+    if (!this.handle) {
+      return;
+    }
+
+    logger.audio('Flushing playback sink');
+    this.terminate();
+  }
+
+  // Close the sink for good (until start() is called again)
+  stop() {
+    this.isStopped = true;
+    this.terminate();
+  }
+
+  start() {
+    this.isStopped = false;
+  }
+
+  terminate() {
+    if (this.handle) {
+      const handle = this.handle;
+      this.handle = null;
+      this.playheadEndsAt = 0;
+      handle.stop();
+    }
+
+    this.resolveDrainWaiters();
+  }
+
+  resolveDrainWaiters() {
+    for (const waiter of this.drainWaiters) {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    }
+    this.drainWaiters.clear();
+  }
+}
@@ -0,0 +1,103 @@
+import { logger } from '../utils/logger.js';
+
+// Rolling buffer of the most recent microphone audio (raw capture format).
+// Kept filled while idle so the words that trigger activation can be sent
+// to the agent once the conversation is up.
+export class PreRollBuffer {
+  constructor(durationMs, sampleRate, channels, bytesPerSample = 2) {
+    this.frameSize = channels * bytesPerSample;
+    this.bytesPerMs = (sampleRate * this.frameSize) / 1000;
+    this.capacity = Math.floor((durationMs * this.bytesPerMs) / this.frameSize) * this.frameSize;
+
+    this.chunks = [];
+    this.times = []; // Arrival time of each chunk, i.e. when its audio ended
+    this.length = 0;
+    this.isPaused = false;
+  }
+
+  // Append a chunk, dropping the oldest audio once capacity is exceeded
+  push(chunk) {
+    if (this.isPaused || this.capacity === 0 || !chunk || chunk.length === 0) {
+      return;
+    }
+
+    this.chunks.push(chunk);
+    this.times.push(Date.now());
+    this.length += chunk.length;
+
+    while (this.length > this.capacity) {
+      const excess = this.length - this.capacity;
+      const oldest = this.chunks[0];
+
+      if (oldest.length <= excess) {
+        this.chunks.shift();
+        this.times.shift();
+        this.length -= oldest.length;
+      } else {
+        // Trim on a frame boundary so channels stay aligned
+        const trim = Math.ceil(excess / this.frameSize) * this.frameSize;
+        this.chunks[0] = oldest.subarray(trim);
+        this.length -= trim;
+      }
+    }
+  }
+
+  // Drop audio captured after `timestamp` (e.g. when a push-to-talk button
+  // was released before the connection was up)
+  cutAfter(timestamp) {
+    while (this.chunks.length > 0) {
+      const last = this.chunks.length - 1;
+      const chunk = this.chunks[last];
+      const startedAt = this.times[last] - chunk.length / this.bytesPerMs;
+
+      if (startedAt >= timestamp) {
+        this.chunks.pop();
+        this.times.pop();
+        this.length -= chunk.length;
+        continue;
+      }
+
+      if (this.times[last] > timestamp) {
+        const keep = Math.floor(((timestamp - startedAt) * this.bytesPerMs) / this.frameSize) * this.frameSize;
+        this.chunks[last] = chunk.subarray(0, keep);
+        this.times[last] = timestamp;
+        this.length -= chunk.length - keep;
+      }
+      return;
+    }
+  }
+
+  // Return everything buffered and empty the buffer
+  drain() {
+    const audio = Buffer.concat(this.chunks, this.length);
+    this.clear();
+    logger.audio(`Pre-roll drained: ${audio.length} bytes (${Math.round(audio.length / this.bytesPerMs)}ms)`);
+    return audio;
+  }
+
+  clear() {
+    this.chunks = [];
+    this.times = [];
+    this.length = 0;
+  }
+
+  // Stop collecting (e.g. while a conversation is streaming live audio)
+  pause() {
+    this.isPaused = true;
+  }
+
+  // Start collecting again from an empty buffer
+  resume() {
+    this.clear();
+    this.isPaused = false;
+  }
+
+  // Start collecting again, keeping what is buffered
+  unpause() {
+    this.isPaused = false;
+  }
+
+  getDurationMs() {
+    return Math.round(this.length / this.bytesPerMs);
+  }
+}
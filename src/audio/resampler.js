@@ -0,0 +1,174 @@
+// Streaming sample-rate converter for 16-bit little-endian PCM.
+// Picks one channel or downmixes to mono, then resamples through a
+// polyphase windowed-sinc low-pass filter so decimation does not alias.
+// State is carried between chunks, so feed it one continuous stream.
+
+const ZERO_CROSSINGS = 16; // Filter half-width in zero crossings of the sinc
+const ROLLOFF = 0.9; // Cutoff as a fraction of the lower Nyquist frequency
+const MAX_PHASES = 1024;
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+function sinc(x) {
+  return x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+// Blackman window over [-1, 1]
+function blackman(x) {
+  if (Math.abs(x) >= 1) {
+    return 0;
+  }
+  const n = (x + 1) / 2;
+  return 0.42 - 0.5 * Math.cos(2 * Math.PI * n) + 0.08 * Math.cos(4 * Math.PI * n);
+}
+
+export class Resampler {
+  // channelMode: 'downmix' or a zero-based channel index to pick
+  constructor({ inputRate, outputRate, inputChannels = 1, channelMode = 'downmix' }) {
+    if (!(inputRate > 0) || !(outputRate > 0)) {
+      throw new Error(`Invalid resampler rates ${inputRate} → ${outputRate}`);
+    }
+
+    if (channelMode !== 'downmix' && !(channelMode >= 0 && channelMode < inputChannels)) {
+      throw new Error(`Channel ${channelMode} not available in ${inputChannels}-channel input`);
+    }
+
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    this.inputChannels = inputChannels;
+    this.channelMode = channelMode;
+    this.frameSize = inputChannels * 2;
+
+    const divisor = gcd(inputRate, outputRate);
+    this.upFactor = outputRate / divisor;
+    this.downFactor = inputRate / divisor;
+    this.passthrough = inputRate === outputRate;
+
+    if (!this.passthrough) {
+      this.buildFilter();
+    }
+
+    this.reset();
+  }
+
+  buildFilter() {
+    // Cutoff in cycles per input sample
+    const cutoff = (ROLLOFF * Math.min(this.inputRate, this.outputRate)) / 2 / this.inputRate;
+    this.halfWidth = Math.ceil(ZERO_CROSSINGS / (2 * cutoff));
+    this.phases = Math.min(this.upFactor, MAX_PHASES);
+
+    const taps = this.halfWidth * 2;
+    this.filterBank = [];
+
+    for (let phase = 0; phase < this.phases; phase++) {
+      const fraction = phase / this.phases;
+      const kernel = new Float32Array(taps);
+
+      for (let n = 0; n < taps; n++) {
+        // Distance (in input samples) between output time and input tap
+        const distance = fraction + this.halfWidth - 1 - n;
+        kernel[n] = 2 * cutoff * sinc(2 * cutoff * distance) * blackman(distance / this.halfWidth);
+      }
+
+      this.filterBank.push(kernel);
+    }
+  }
+
+  reset() {
+    // Mono input history; history[0] is absolute input sample historyStart
+    this.history = new Float32Array(0);
+    this.historyStart = 0;
+    this.inputCount = 0;
+    this.outputCount = 0;
+    this.remainder = Buffer.alloc(0);
+  }
+
+  // Interleaved PCM → mono samples, keeping any partial frame for next time
+  toMono(buffer) {
+    const input = this.remainder.length > 0 ? Buffer.concat([this.remainder, buffer]) : buffer;
+    const frames = Math.floor(input.length / this.frameSize);
+    this.remainder = Buffer.from(input.subarray(frames * this.frameSize));
+
+    const mono = new Float32Array(frames);
+    for (let f = 0; f < frames; f++) {
+      const offset = f * this.frameSize;
+
+      if (this.channelMode === 'downmix') {
+        let sum = 0;
+        for (let c = 0; c < this.inputChannels; c++) {
+          sum += input.readInt16LE(offset + c * 2);
+        }
+        mono[f] = sum / this.inputChannels;
+      } else {
+        mono[f] = input.readInt16LE(offset + this.channelMode * 2);
+      }
+    }
+    return mono;
+  }
+
+  static toBuffer(samples, count = samples.length) {
+    const output = Buffer.alloc(count * 2);
+    for (let i = 0; i < count; i++) {
+      const value = Math.round(samples[i]);
+      output.writeInt16LE(value > 32767 ? 32767 : value < -32768 ? -32768 : value, i * 2);
+    }
+    return output;
+  }
+
+  // Convert a chunk of interleaved input PCM to mono PCM at the output rate
+  process(buffer) {
+    const mono = this.toMono(buffer);
+
+    if (this.passthrough) {
+      return Resampler.toBuffer(mono);
+    }
+
+    // Append new samples to the history
+    const history = new Float32Array(this.history.length + mono.length);
+    history.set(this.history);
+    history.set(mono, this.history.length);
+    this.history = history;
+    this.inputCount += mono.length;
+
+    const taps = this.halfWidth * 2;
+    const output = new Float32Array(Math.ceil((mono.length * this.upFactor) / this.downFactor) + 2);
+    let produced = 0;
+
+    for (;;) {
+      const position = this.outputCount * this.downFactor;
+      const center = Math.floor(position / this.upFactor);
+
+      // Need halfWidth samples of look-ahead past the center tap
+      if (center + this.halfWidth >= this.inputCount || produced === output.length) {
+        break;
+      }
+
+      const phase = Math.floor(((position % this.upFactor) * this.phases) / this.upFactor);
+      const kernel = this.filterBank[phase];
+      const first = center - this.halfWidth + 1 - this.historyStart;
+
+      let sum = 0;
+      for (let n = 0; n < taps; n++) {
+        const index = first + n;
+        if (index >= 0) {
+          sum += history[index] * kernel[n];
+        }
+      }
+
+      output[produced++] = sum;
+      this.outputCount++;
+    }
+
+    // Drop history no future output sample can reach
+    const nextCenter = Math.floor((this.outputCount * this.downFactor) / this.upFactor);
+    const keepFrom = Math.max(0, nextCenter - this.halfWidth + 1 - this.historyStart);
+    if (keepFrom > 0) {
+      this.history = this.history.slice(Math.min(keepFrom, this.history.length));
+      this.historyStart += Math.min(keepFrom, history.length);
+    }
+
+    return Resampler.toBuffer(output, produced);
+  }
+}
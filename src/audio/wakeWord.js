@@ -0,0 +1,220 @@
+import { readFile } from 'fs/promises';
+import { logger } from '../utils/logger.js';
+import { computeMfcc, normalizeFeatures } from './mfcc.js';
+
+// Offline wake-word spotting against user-enrolled templates. The frame VAD
+// cuts the mic stream into utterances; each short utterance is compared to
+// the enrolled recordings of the keyword with dynamic time warping over
+// MFCC frames. Nothing leaves the device until the keyword matches.
+
+const FRAME_MS = 20;
+
+// Average per-step DTW cost between two MFCC sequences, with a Sakoe-Chiba
+// band so the alignment can't stretch one frame over half the word
+export function dtwDistance(a, b, bandRatio = 0.4) {
+  const n = a.length;
+  const m = b.length;
+  const band = Math.max(Math.ceil(Math.max(n, m) * bandRatio), Math.abs(n - m));
+
+  let previous = new Float64Array(m + 1).fill(Infinity);
+  let current = new Float64Array(m + 1).fill(Infinity);
+  previous[0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    current.fill(Infinity);
+    const center = Math.round((i * m) / n);
+    const from = Math.max(1, center - band);
+    const to = Math.min(m, center + band);
+
+    for (let j = from; j <= to; j++) {
+      let cost = 0;
+      for (let k = 0; k < a[i - 1].length; k++) {
+        const diff = a[i - 1][k] - b[j - 1][k];
+        cost += diff * diff;
+      }
+      current[j] = Math.sqrt(cost) + Math.min(previous[j], current[j - 1], previous[j - 1]);
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  return previous[m] / (n + m);
+}
+
+// Maps a DTW distance to 0–1; distanceThreshold (from enrollment) maps to 0.5
+export function distanceToConfidence(distance, distanceThreshold) {
+  return Math.max(0, Math.min(1, 1 - distance / (2 * distanceThreshold)));
+}
+
+// Collects MFCC frames for one utterance: a few frames of lead-in before the
+// VAD fires (its voting lags the onset) plus everything until it releases
+export class UtteranceSegmenter {
+  constructor({ preFrames = 10, maxFrames = 100 } = {}) {
+    this.preFrames = preFrames;
+    this.maxFrames = maxFrames;
+    this.reset();
+  }
+
+  reset() {
+    this.history = [];
+    this.segment = null;
+    this.overflowed = false;
+  }
+
+  // Returns the finished utterance's frames when speech ends, else null.
+  // Utterances longer than maxFrames can't be a wake word and are dropped.
+  push(features, isSpeech) {
+    if (!this.segment) {
+      if (isSpeech) {
+        this.segment = [...this.history, features];
+        this.history = [];
+        this.overflowed = false;
+      } else {
+        this.history.push(features);
+        if (this.history.length > this.preFrames) {
+          this.history.shift();
+        }
+      }
+      return null;
+    }
+
+    if (isSpeech) {
+      if (this.segment.length < this.maxFrames) {
+        this.segment.push(features);
+      } else {
+        this.overflowed = true;
+      }
+      return null;
+    }
+
+    const segment = this.segment;
+    this.segment = null;
+    return this.overflowed ? null : segment;
+  }
+}
+
+// Builds a model from several enrolled utterances (MFCC frame arrays). The
+// distance threshold comes from how far the enrollment samples are from
+// each other, so a consistent speaker gets a tight threshold.
+export function createWakeWordModel(keyword, utterances) {
+  if (utterances.length < 2) {
+    throw new Error('At least two recordings of the wake word are needed');
+  }
+
+  const templates = utterances.map((frames) => normalizeFeatures(frames));
+  let maxDistance = 0;
+  for (let i = 0; i < templates.length; i++) {
+    for (let j = i + 1; j < templates.length; j++) {
+      maxDistance = Math.max(maxDistance, dtwDistance(templates[i], templates[j]));
+    }
+  }
+
+  return {
+    keyword,
+    createdAt: new Date().toISOString(),
+    frameMs: FRAME_MS,
+    distanceThreshold: maxDistance * 1.2,
+    templates: templates.map((frames) =>
+      frames.map((frame) => frame.map((value) => Math.round(value * 1000) / 1000))
+    )
+  };
+}
+
+export class WakeWordDetector {
+  constructor(model, options = {}) {
+    this.keyword = model.keyword;
+    this.templates = model.templates;
+    this.distanceThreshold = model.distanceThreshold;
+    this.sensitivity = options.sensitivity ?? 0.5; // Minimum confidence to trigger
+    this.minFrames = Math.round((options.minWordMs ?? 200) / FRAME_MS);
+
+    const longestTemplate = Math.max(...this.templates.map((template) => template.length));
+    this.segmenter = new UtteranceSegmenter({
+      maxFrames: Math.max(Math.round((options.maxWordMs ?? 2000) / FRAME_MS), longestTemplate * 2)
+    });
+
+    this.stats = {
+      detections: 0,
+      rejections: 0,
+      falseAccepts: 0,
+      lastConfidence: null
+    };
+    this.lastDetection = null;
+  }
+
+  static async load(modelPath, options = {}) {
+    let model;
+    try {
+      model = JSON.parse(await readFile(modelPath, 'utf8'));
+    } catch (error) {
+      throw new Error(
+        `Cannot load wake word model '${modelPath}' (${error.message}). Enroll one with: npm run enroll-wake-word -- "<keyword>"`
+      );
+    }
+
+    if (!Array.isArray(model.templates) || model.templates.length === 0 || !model.distanceThreshold) {
+      throw new Error(`Wake word model '${modelPath}' has no templates`);
+    }
+
+    logger.info(`🔑 Wake word "${model.keyword}" loaded (${model.templates.length} templates)`);
+    return new WakeWordDetector(model, options);
+  }
+
+  reset() {
+    this.segmenter.reset();
+  }
+
+  // Feed one 16 kHz VAD frame; returns { keyword, confidence, distance } when
+  // the utterance that just ended matches the keyword
+  processFrame(samples, isSpeech) {
+    const utterance = this.segmenter.push(computeMfcc(samples), isSpeech);
+    if (!utterance || utterance.length < this.minFrames) {
+      return null;
+    }
+    return this.evaluate(utterance);
+  }
+
+  evaluate(frames) {
+    const features = normalizeFeatures(frames);
+    let distance = Infinity;
+
+    for (const template of this.templates) {
+      // Very different lengths can't be the same word
+      const ratio = features.length / template.length;
+      if (ratio < 0.5 || ratio > 2) {
+        continue;
+      }
+      distance = Math.min(distance, dtwDistance(features, template));
+    }
+
+    const confidence = distance === Infinity ? 0 : distanceToConfidence(distance, this.distanceThreshold);
+    this.stats.lastConfidence = confidence;
+
+    if (confidence >= this.sensitivity) {
+      this.stats.detections++;
+      this.lastDetection = { keyword: this.keyword, confidence, distance };
+      logger.info(
+        `🔑 Wake word "${this.keyword}" detected (confidence ${confidence.toFixed(2)}, ` +
+        `detections: ${this.stats.detections}, false accepts: ${this.stats.falseAccepts})`
+      );
+      return this.lastDetection;
+    }
+
+    this.stats.rejections++;
+    logger.debug(`Utterance rejected as wake word (confidence ${confidence.toFixed(2)}, ${frames.length * FRAME_MS}ms)`);
+    return null;
+  }
+
+  // A detection that turned out not to be the user addressing the device
+  recordFalseAccept() {
+    this.stats.falseAccepts++;
+    logger.warn(
+      `🔑 Wake word false accept (confidence ${this.lastDetection?.confidence.toFixed(2)}, ` +
+      `false accepts: ${this.stats.falseAccepts}/${this.stats.detections} detections)`
+    );
+  }
+
+  getStats() {
+    return { keyword: this.keyword, sensitivity: this.sensitivity, ...this.stats };
+  }
+}
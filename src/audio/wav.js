@@ -0,0 +1,106 @@
+import { openSync, writeSync, closeSync } from 'fs';
+
+// Minimal RIFF/WAVE support for 16-bit PCM: parsing input files and
+// writing output files whose header stays valid while they grow.
+
+const HEADER_SIZE = 44;
+
+export function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk before fmt chunk');
+      }
+
+      // WAVE_FORMAT_PCM (1) or WAVE_FORMAT_EXTENSIBLE (0xfffe) carrying PCM
+      if ((format.audioFormat !== 1 && format.audioFormat !== 0xfffe) || format.bitsPerSample !== 16) {
+        throw new Error(`Unsupported WAV encoding (format ${format.audioFormat}, ${format.bitsPerSample}-bit); 16-bit PCM required`);
+      }
+
+      // Streamed WAVs may carry a placeholder size; clamp to what is there
+      const end = Math.min(body + chunkSize, buffer.length);
+      return {
+        sampleRate: format.sampleRate,
+        channels: format.channels,
+        bitsPerSample: format.bitsPerSample,
+        data: buffer.subarray(body, end)
+      };
+    }
+
+    // Chunks are padded to an even length
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV file has no data chunk');
+}
+
+export function createWavHeader(dataLength, sampleRate, channels) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  const blockAlign = channels * 2;
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataLength, 40);
+
+  return header;
+}
+
+// Appends PCM to a WAV file, rewriting the header sizes after every write
+// so the file is playable even if the process dies mid-stream
+export class WavFileWriter {
+  constructor(path, sampleRate, channels) {
+    this.path = path;
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.dataLength = 0;
+    this.fd = openSync(path, 'w');
+    writeSync(this.fd, createWavHeader(0, sampleRate, channels), 0, HEADER_SIZE, 0);
+  }
+
+  write(pcm) {
+    if (this.fd === null || pcm.length === 0) {
+      return;
+    }
+
+    writeSync(this.fd, pcm, 0, pcm.length, HEADER_SIZE + this.dataLength);
+    this.dataLength += pcm.length;
+
+    const header = createWavHeader(this.dataLength, this.sampleRate, this.channels);
+    writeSync(this.fd, header, 0, HEADER_SIZE, 0);
+  }
+
+  close() {
+    if (this.fd !== null) {
+      closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
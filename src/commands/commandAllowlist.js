@@ -0,0 +1,265 @@
+import { readFile } from 'fs/promises';
+import { spawn } from 'child_process';
+import os from 'os';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { validateSchema, applyDefaults } from '../tools/schema.js';
+
+// Local commands the agent may run, read from a JSON file:
+//
+//   "restart_service": {
+//     "description": "Restart one of the device's services",
+//     "command": ["systemctl", "restart", "{service}"],
+//     "args": { "service": { "type": "string", "enum": ["mosquitto", "nginx"] } },
+//     "timeoutMs": 15000, "maxOutputBytes": 4096, "runAs": "root"
+//   }
+//
+// `command` is a fixed argv; `{name}` placeholders are filled from `args`,
+// each a typed slot (JSON schema). Commands are spawned without a shell, so
+// values can't inject other commands; values may not start with '-' (no
+// smuggled options) and string slots must be limited by enum or pattern
+// (matched against the whole value).
+// runAs other than the agent's own user goes through `sudo -n -u`.
+const PLACEHOLDER = /\{(\w+)\}/g;
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const USER_PATTERN = /^[a-z_][a-z0-9_-]*$/;
+const SLOT_TYPES = ['string', 'integer', 'number', 'boolean'];
+const KILL_GRACE_MS = 2000;
+
+export class CommandAllowlist {
+  constructor(entries = {}, options = config.commands) {
+    this.options = options;
+    this.currentUser = os.userInfo().username;
+    this.entries = new Map();
+
+    for (const [id, entry] of Object.entries(entries)) {
+      this.entries.set(id, this.validateEntry(id, entry));
+    }
+  }
+
+  // A missing file means no commands; a broken one is an error
+  static async load(path = config.commands.allowlistPath, options = config.commands) {
+    let text;
+    try {
+      text = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.debug(`No command allowlist at ${path}`);
+        return new CommandAllowlist({}, options);
+      }
+      throw error;
+    }
+
+    let entries;
+    try {
+      entries = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Command allowlist ${path} is not valid JSON: ${error.message}`);
+    }
+    return new CommandAllowlist(entries, options);
+  }
+
+  validateEntry(id, entry) {
+    const fail = (message) => {
+      throw new Error(`Command '${id}': ${message}`);
+    };
+
+    if (!ID_PATTERN.test(id)) {
+      fail('id must be lowercase letters, digits and underscores');
+    }
+    if (!Array.isArray(entry.command) || entry.command.length === 0 ||
+      !entry.command.every((part) => typeof part === 'string')) {
+      fail('command must be a non-empty array of strings');
+    }
+    if (/\{\w+\}/.test(entry.command[0])) {
+      fail('the program itself cannot be an argument slot');
+    }
+
+    const args = {};
+    for (const [name, slot] of Object.entries(entry.args || {})) {
+      if (!SLOT_TYPES.includes(slot.type)) {
+        fail(`argument '${name}' must have type ${SLOT_TYPES.join(', ')}`);
+      }
+      if (slot.type === 'string' && !slot.enum && !slot.pattern) {
+        fail(`string argument '${name}' needs an enum or a pattern`);
+      }
+
+      args[name] = slot;
+      if (slot.pattern) {
+        try {
+          new RegExp(slot.pattern);
+        } catch (error) {
+          fail(`argument '${name}' has an invalid pattern: ${error.message}`);
+        }
+        // Patterns must match the whole value, not just part of it
+        args[name] = { ...slot, pattern: `^(?:${slot.pattern})$` };
+      }
+    }
+
+    const used = new Set();
+    for (const part of entry.command) {
+      for (const [, name] of part.matchAll(PLACEHOLDER)) {
+        if (!args[name]) {
+          fail(`placeholder {${name}} has no argument definition`);
+        }
+        used.add(name);
+      }
+    }
+    for (const name of Object.keys(args)) {
+      if (!used.has(name)) {
+        fail(`argument '${name}' is not used in the command`);
+      }
+    }
+
+    const runAs = entry.runAs || this.currentUser;
+    if (!USER_PATTERN.test(runAs)) {
+      fail(`invalid runAs user '${runAs}'`);
+    }
+
+    return {
+      id,
+      description: entry.description || entry.command.join(' '),
+      command: entry.command,
+      schema: {
+        type: 'object',
+        properties: args,
+        required: Object.keys(args).filter((name) => args[name].default === undefined),
+        additionalProperties: false
+      },
+      timeoutMs: entry.timeoutMs || this.options.defaultTimeoutMs,
+      maxOutputBytes: entry.maxOutputBytes || this.options.defaultMaxOutputBytes,
+      runAs
+    };
+  }
+
+  list() {
+    return [...this.entries.values()];
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  // Argument errors as { path, message }; empty when the call is allowed
+  validateArgs(id, args = {}) {
+    const entry = this.entries.get(id);
+    const errors = validateSchema(entry.schema, args, 'args');
+
+    // Checked as the text that ends up in argv, so a negative number can't
+    // pass for an option either
+    for (const [name, value] of Object.entries(applyDefaults(entry.schema, args))) {
+      const text = String(value);
+      if (text.startsWith('-') || text.includes('\0')) {
+        errors.push({ path: `args.${name}`, message: 'must not start with \'-\' or contain NUL' });
+      }
+    }
+    return errors;
+  }
+
+  // The exact argv that will be spawned (after validateArgs passed)
+  buildArgv(id, args = {}) {
+    const entry = this.entries.get(id);
+    const values = applyDefaults(entry.schema, args);
+    const argv = entry.command.map((part) => part.replace(PLACEHOLDER, (match, name) => String(values[name])));
+
+    if (entry.runAs !== this.currentUser) {
+      return ['sudo', '-n', '-u', entry.runAs, '--', ...argv];
+    }
+    return argv;
+  }
+
+  // Resolves with the outcome, including non-zero exits and timeouts;
+  // rejects only if the program could not be started
+  run(id, args = {}, signal = null) {
+    const entry = this.entries.get(id);
+    const [program, ...argv] = this.buildArgv(id, args);
+    const startedAt = Date.now();
+
+    logger.info(`🛠️  Running command '${id}': ${[program, ...argv].join(' ')}`);
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(program, argv, {
+        shell: false,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: { PATH: process.env.PATH, HOME: process.env.HOME, LANG: 'C.UTF-8' }
+      });
+
+      const stdout = new OutputCollector(entry.maxOutputBytes);
+      const stderr = new OutputCollector(entry.maxOutputBytes);
+      child.stdout.on('data', (chunk) => stdout.push(chunk));
+      child.stderr.on('data', (chunk) => stderr.push(chunk));
+
+      let stopReason = null;
+      let killTimer = null;
+      const stop = (reason) => {
+        if (stopReason || child.exitCode !== null) {
+          return;
+        }
+        stopReason = reason;
+        child.kill('SIGTERM');
+        killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+      };
+
+      const timeoutTimer = setTimeout(() => stop('timeout'), entry.timeoutMs);
+      const onAbort = () => stop('cancelled');
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      const cleanup = () => {
+        clearTimeout(timeoutTimer);
+        clearTimeout(killTimer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      child.on('error', (error) => {
+        cleanup();
+        reject(new Error(`Cannot run '${program}': ${error.message}`));
+      });
+
+      child.on('close', (exitCode, exitSignal) => {
+        cleanup();
+        const durationMs = Date.now() - startedAt;
+        logger.info(`🛠️  Command '${id}' finished in ${durationMs}ms (${stopReason || `exit ${exitCode ?? exitSignal}`})`);
+
+        resolve({
+          id,
+          exitCode,
+          signal: exitSignal,
+          timedOut: stopReason === 'timeout',
+          cancelled: stopReason === 'cancelled',
+          stdout: stdout.toString(),
+          stderr: stderr.toString(),
+          truncated: stdout.truncated || stderr.truncated,
+          durationMs
+        });
+      });
+    });
+  }
+}
+
+// Keeps the first maxBytes of a stream and drains the rest
+class OutputCollector {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.chunks = [];
+    this.size = 0;
+    this.truncated = false;
+  }
+
+  push(chunk) {
+    const room = this.maxBytes - this.size;
+    if (room <= 0) {
+      this.truncated = true;
+      return;
+    }
+    if (chunk.length > room) {
+      chunk = chunk.subarray(0, room);
+      this.truncated = true;
+    }
+    this.chunks.push(chunk);
+    this.size += chunk.length;
+  }
+
+  toString() {
+    return Buffer.concat(this.chunks).toString('utf8');
+  }
+}
@@ -12,13 +12,171 @@ export const config = {
 
   // Audio Configuration
   audio: {
+    // Audio backend: 'alsa' (arecord/aplay), 'pulse' (parec/pacat, also for PipeWire),
+    // 'file' (WAV in/out, headless) or 'null' (silence in, output discarded)
+    backend: process.env.AUDIO_BACKEND || 'alsa',
+    file: {
+      input: process.env.AUDIO_INPUT_FILE || null, // WAV played into the capture path
+      output: process.env.AUDIO_OUTPUT_FILE || 'agent-output.wav', // Agent audio written here
+      loop: process.env.AUDIO_INPUT_LOOP === 'true'
+    },
     sampleRate: parseInt(process.env.AUDIO_SAMPLE_RATE) || 48000, // ATR2100-USB native rate
     channels: parseInt(process.env.AUDIO_CHANNELS) || 2, // ATR2100-USB is stereo
+    // Capture/playback devices, matched by name against `arecord -l` / `aplay -l`
+    // (or given directly as an ALSA device string such as plughw:1,0)
     deviceName: process.env.AUDIO_DEVICE_NAME || 'ATR2100-USB',
-    // PCM format for ElevenLabs (16-bit, little-endian) - will downsample
+    playbackDeviceName: process.env.AUDIO_PLAYBACK_DEVICE_NAME || 'Headphones', // bcm2835 aux jack → Marshall amp
+    // Uplink PCM format (16-bit, little-endian) until the server reports
+    // user_input_audio_format; capture audio is resampled to match
     format: 'pcm_16000',
+    // Agent audio format assumed until the server reports agent_output_audio_format
+    outputFormat: 'pcm_16000',
+    // Which capture channel feeds the uplink: 'downmix', 'left', 'right' or an index
+    channelSelect: process.env.AUDIO_CHANNEL_SELECT || 'downmix',
     bitDepth: 16,
-    encoding: 'signed-integer'
+    encoding: 'signed-integer',
+    // Recent mic audio kept while idle and sent once the conversation starts
+    preRollMs: parseInt(process.env.AUDIO_PRE_ROLL_MS) || 3000,
+    // 'full' keeps the mic open while the agent speaks (barge-in),
+    // 'half' mutes the uplink during playback. Full only by default while
+    // the echo canceller is on, otherwise the agent would hear itself.
+    duplexMode: process.env.AUDIO_DUPLEX_MODE || (process.env.AUDIO_AEC_ENABLED !== 'false' ? 'full' : 'half'),
+    // Microphone hot-plug recovery
+    captureRecovery: {
+      initialRetryDelayMs: parseInt(process.env.AUDIO_CAPTURE_RETRY_MS) || 1000,
+      maxRetryDelayMs: parseInt(process.env.AUDIO_CAPTURE_MAX_RETRY_MS) || 30000,
+      stallTimeoutMs: parseInt(process.env.AUDIO_CAPTURE_STALL_MS) || 5000 // No data this long = device lost
+    },
+    // Jitter buffer in front of playback
+    jitterBuffer: {
+      targetDepthMs: parseInt(process.env.AUDIO_JITTER_TARGET_MS) || 200, // Held before playout starts
+      maxDepthMs: parseInt(process.env.AUDIO_JITTER_MAX_MS) || 10000, // Above this counts as an overrun
+      prebufferTimeoutMs: parseInt(process.env.AUDIO_JITTER_PREBUFFER_TIMEOUT_MS) || 300
+    },
+    // Echo cancellation for full-duplex mode
+    echoCancellation: {
+      enabled: process.env.AUDIO_AEC_ENABLED !== 'false',
+      filterLengthMs: parseInt(process.env.AUDIO_AEC_FILTER_MS) || 32, // Echo tail covered by the filter
+      delayMs: parseInt(process.env.AUDIO_AEC_DELAY_MS) || 100, // Playback + capture buffering
+      stepSize: parseFloat(process.env.AUDIO_AEC_STEP_SIZE) || 0.5,
+      doubleTalkRatio: parseFloat(process.env.AUDIO_AEC_DOUBLE_TALK_RATIO) || 0.5
+    }
+  },
+
+  // How a conversation is started: 'voice' (any speech), 'wake_word'
+  // or 'push_to_talk'
+  activation: {
+    mode: process.env.ACTIVATION_MODE || 'voice'
+  },
+
+  // Push-to-talk button for activation mode 'push_to_talk'
+  pushToTalk: {
+    source: process.env.PTT_SOURCE || 'gpio', // 'gpio' button or 'keyboard' (key on the TTY)
+    mode: process.env.PTT_MODE || 'hold', // 'hold' (talk while held) or 'toggle' (press to start/end)
+    line: parseInt(process.env.PTT_GPIO_LINE) || 17, // Line offset on the GPIO chip (BCM numbering on the Pi)
+    activeLow: process.env.PTT_ACTIVE_LOW !== 'false', // Button wired to ground
+    bias: process.env.PTT_BIAS || 'pull-up',
+    debounceMs: parseInt(process.env.PTT_DEBOUNCE_MS) || 30,
+    key: process.env.PTT_KEY || ' ',
+    keyReleaseMs: parseInt(process.env.PTT_KEY_RELEASE_MS) || 600, // No key auto-repeat this long = released
+    sessionTimeoutMs: parseInt(process.env.PTT_SESSION_TIMEOUT_MS) || 15000 // Hold mode: end session after release
+  },
+
+  // GPIO access: 'chardev' (libgpiod tools, /dev/gpiochipN), 'sysfs'
+  // (/sys/class/gpio) or 'mock' (no hardware)
+  gpio: {
+    driver: process.env.GPIO_DRIVER || 'chardev',
+    chip: process.env.GPIO_CHIP || 'gpiochip0',
+    sysfsRoot: process.env.GPIO_SYSFS_ROOT || '/sys/class/gpio',
+    sysfsBase: parseInt(process.env.GPIO_SYSFS_BASE) || 0, // Added to line offsets (512 on newer kernels)
+    pollIntervalMs: parseInt(process.env.GPIO_POLL_MS) || 20, // sysfs input polling
+    pinsPath: process.env.GPIO_PINS || 'gpio-pins.json' // Named pins for the GPIO tools
+  },
+
+  // Offline wake word for activation mode 'wake_word'. The model holds
+  // templates enrolled with `npm run enroll-wake-word -- "<keyword>"`
+  wakeWord: {
+    modelPath: process.env.WAKE_WORD_MODEL || 'wake-word.json',
+    sensitivity: parseFloat(process.env.WAKE_WORD_SENSITIVITY) || 0.5, // Minimum match confidence (0–1)
+    maxWordMs: parseInt(process.env.WAKE_WORD_MAX_MS) || 2000, // Longer utterances are never the keyword
+    enrollmentSamples: parseInt(process.env.WAKE_WORD_ENROLL_SAMPLES) || 3
+  },
+
+  // Local voice activation (wakes the agent connection)
+  voiceActivation: {
+    // Speech threshold tracks the ambient noise floor: speech starts above
+    // floor × startRatio and ends below floor × releaseRatio (hysteresis)
+    minThreshold: parseInt(process.env.VAD_MIN_THRESHOLD) || 200, // RMS floor for the start threshold
+    startRatio: parseFloat(process.env.VAD_START_RATIO) || 3.0,
+    releaseRatio: parseFloat(process.env.VAD_RELEASE_RATIO) || 2.0,
+    calibrationMs: parseInt(process.env.VAD_CALIBRATION_MS) || 1000 // Initial noise measurement
+  },
+
+  // Session lifecycle (see session/sessionStateMachine.js)
+  session: {
+    endingGraceMs: parseInt(process.env.SESSION_ENDING_GRACE_MS) || 2000, // Speech can resume before the socket closes
+    cooldownMs: parseInt(process.env.SESSION_COOLDOWN_MS) || 1000, // Pause before the next activation
+    closeTimeoutMs: 3000 // Stop waiting for the server to acknowledge the close
+  },
+
+  // When a voice-activated conversation is over (see session/conversationEndDetector.js)
+  conversationEnd: {
+    silenceTimeoutMs: parseInt(process.env.CONVERSATION_SILENCE_TIMEOUT_MS) || 10000, // After the agent finished speaking
+    responseTimeoutMs: parseInt(process.env.CONVERSATION_RESPONSE_TIMEOUT_MS) || 15000, // Wait for an answer to the user
+    vadThreshold: parseFloat(process.env.CONVERSATION_VAD_THRESHOLD) || 0.5, // Server vad_score counted as user speech
+    checkIntervalMs: 250
+  },
+
+  // Client tools (see tools/registry.js)
+  tools: {
+    directory: process.env.TOOLS_DIR || null, // Extra tool modules, loaded after the built-in ones
+    timeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS) || 10000, // Unless the tool sets its own
+    maxConcurrent: parseInt(process.env.TOOL_MAX_CONCURRENT) || 2
+  },
+
+  // Local commands for the run_command tool (see commands/commandAllowlist.js)
+  commands: {
+    allowlistPath: process.env.COMMAND_ALLOWLIST || 'commands.json',
+    defaultTimeoutMs: 10000,
+    defaultMaxOutputBytes: 4096
+  },
+
+  // Device health for get_device_status / get_system_info (see telemetry/telemetry.js)
+  telemetry: {
+    sysfsRoot: process.env.TELEMETRY_SYSFS_ROOT || '/sys',
+    procRoot: process.env.TELEMETRY_PROC_ROOT || '/proc',
+    osReleasePath: '/etc/os-release',
+    diskPath: process.env.TELEMETRY_DISK_PATH || '/',
+    commandTimeoutMs: 2000 // vcgencmd fallback
+  },
+
+  // Power supply and UPS monitoring (see power/powerMonitor.js)
+  power: {
+    gauge: process.env.POWER_GAUGE || 'none', // sysfs (power_supply class), i2c (MAX17040/48), mock or none
+    powerSupplyRoot: process.env.POWER_SUPPLY_ROOT || '/sys/class/power_supply',
+    i2cBus: parseInt(process.env.POWER_I2C_BUS) || 1,
+    i2cAddress: parseInt(process.env.POWER_I2C_ADDRESS) || 0x36,
+    pollIntervalMs: parseInt(process.env.POWER_POLL_MS) || 30000,
+    lowBatteryPercent: parseInt(process.env.POWER_LOW_BATTERY_PERCENT) || 20,
+    criticalBatteryPercent: parseInt(process.env.POWER_CRITICAL_BATTERY_PERCENT) || 8,
+    hysteresisPercent: 5,
+    criticalReadings: 2, // Consecutive critical polls before shutting down
+    shutdownDelayMs: parseInt(process.env.POWER_SHUTDOWN_DELAY_MS) || 20000, // Lets the agent tell the user
+    // Run after the agent has stopped, e.g. "sudo -n /sbin/shutdown -h now";
+    // empty only stops the agent
+    shutdownCommand: process.env.POWER_SHUTDOWN_COMMAND || ''
+  },
+
+  // MQTT bridge (see mqtt/mqttBridge.js); disabled unless MQTT_URL is set
+  mqtt: {
+    url: process.env.MQTT_URL || null, // e.g. mqtt://localhost:1883
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    clientId: process.env.MQTT_CLIENT_ID || 'elevenlabs-pi-agent',
+    topicPrefix: process.env.MQTT_TOPIC_PREFIX || 'elevenlabs-agent',
+    configPath: process.env.MQTT_CONFIG || 'mqtt.json', // Publish actions and state topics
+    reconnectPeriodMs: 5000,
+    closeTimeoutMs: 1000
   },
 
   // WebSocket Configuration
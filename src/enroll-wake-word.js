@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+import { readFileSync, writeFileSync } from 'fs';
+import { config } from './config.js';
+import { createAudioBackend } from './audio/backends/index.js';
+import { parseWav } from './audio/wav.js';
+import { FrameVad } from './audio/frameVad.js';
+import { computeMfcc } from './audio/mfcc.js';
+import { UtteranceSegmenter, createWakeWordModel, dtwDistance, distanceToConfidence } from './audio/wakeWord.js';
+
+// Enrolls the offline wake word: records the keyword a few times (or reads
+// WAV files) and writes the template model used by ACTIVATION_MODE=wake_word.
+// Usage: npm run enroll-wake-word -- "hey pi" [sample1.wav sample2.wav ...]
+
+const QUIET_MS = 1000; // Noise floor calibration before each sample
+const SPEAK_MS = 3000;
+
+class WakeWordEnrollment {
+  constructor(keyword, files) {
+    this.keyword = keyword;
+    this.files = files;
+  }
+
+  async run() {
+    if (!this.keyword) {
+      console.log('Usage: npm run enroll-wake-word -- "<keyword>" [sample1.wav sample2.wav ...]');
+      return;
+    }
+
+    console.log(`🔑 Enrolling wake word "${this.keyword}"`);
+
+    const utterances = this.files.length > 0
+      ? this.loadFiles()
+      : await this.recordSamples(config.wakeWord.enrollmentSamples);
+
+    if (utterances.length < 2) {
+      console.error('❌ Need at least two usable recordings of the wake word');
+      process.exitCode = 1;
+      return;
+    }
+
+    const model = createWakeWordModel(this.keyword, utterances);
+    writeFileSync(config.wakeWord.modelPath, JSON.stringify(model));
+
+    console.log(`\n💾 Model saved as: ${config.wakeWord.modelPath}`);
+    console.log(`   Distance threshold: ${model.distanceThreshold.toFixed(2)}`);
+    this.printCrossCheck(model);
+    console.log('\nEnable it with ACTIVATION_MODE=wake_word in .env');
+  }
+
+  loadFiles() {
+    const utterances = [];
+
+    for (const file of this.files) {
+      const wav = parseWav(readFileSync(file));
+      const frames = this.extractKeyword(wav.data, wav.sampleRate, wav.channels);
+      this.reportSample(file, frames, utterances);
+    }
+
+    return utterances;
+  }
+
+  async recordSamples(count) {
+    const backend = createAudioBackend(config.audio.backend);
+    const device = await backend.resolveDevice('capture', config.audio.deviceName);
+    const utterances = [];
+
+    try {
+      for (let i = 1; i <= count; i++) {
+        console.log(`\n🤫 Sample ${i}/${count}: stay quiet...`);
+        const pcm = await this.record(backend, device, () => {
+          console.log(`🗣️  Say "${this.keyword}" now`);
+        });
+        const frames = this.extractKeyword(pcm, config.audio.sampleRate, config.audio.channels);
+        this.reportSample(`Sample ${i}`, frames, utterances);
+      }
+    } finally {
+      backend.close();
+    }
+
+    return utterances;
+  }
+
+  record(backend, device, onPrompt) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const handle = backend.openCapture({
+        device,
+        sampleRate: config.audio.sampleRate,
+        channels: config.audio.channels
+      });
+
+      handle.stream.on('data', (chunk) => chunks.push(chunk));
+      handle.on('error', reject);
+
+      const promptTimer = setTimeout(onPrompt, QUIET_MS);
+      setTimeout(() => {
+        clearTimeout(promptTimer);
+        handle.stop();
+        resolve(Buffer.concat(chunks));
+      }, QUIET_MS + SPEAK_MS);
+    });
+  }
+
+  // MFCC frames of the longest utterance in the recording
+  extractKeyword(pcm, sampleRate, channels) {
+    const vad = new FrameVad({ ...config.voiceActivation, sampleRate, channels });
+    const segmenter = new UtteranceSegmenter({ maxFrames: Math.round(config.wakeWord.maxWordMs / FrameVad.frameDurationMs) });
+    let longest = null;
+
+    const keep = (frames) => {
+      if (frames && (!longest || frames.length > longest.length)) {
+        longest = frames;
+      }
+    };
+
+    vad.process(pcm, (frame, isSpeech) => keep(segmenter.push(computeMfcc(frame), isSpeech)));
+    // Close an utterance still open at the end of the recording
+    keep(segmenter.push(computeMfcc(new Float32Array(320)), false));
+
+    return longest;
+  }
+
+  reportSample(label, frames, utterances) {
+    if (!frames) {
+      console.log(`⚠️  ${label}: no speech found (or longer than ${config.wakeWord.maxWordMs}ms), skipped`);
+      return;
+    }
+
+    console.log(`✅ ${label}: ${Math.round(frames.length * FrameVad.frameDurationMs)}ms of speech`);
+    utterances.push(frames);
+  }
+
+  // How well each sample matches the others; a low score means an
+  // inconsistent recording worth redoing
+  printCrossCheck(model) {
+    model.templates.forEach((template, i) => {
+      const others = model.templates.filter((_, j) => j !== i);
+      const distance = Math.min(...others.map((other) => dtwDistance(template, other)));
+      console.log(`   Sample ${i + 1} confidence against the others: ${distanceToConfidence(distance, model.distanceThreshold).toFixed(2)}`);
+    });
+  }
+}
+
+// Run enrollment
+const enrollment = new WakeWordEnrollment(process.argv[2], process.argv.slice(3));
+enrollment.run().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
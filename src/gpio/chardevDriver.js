@@ -0,0 +1,225 @@
+import { execFile, spawn } from 'child_process';
+import { logger } from '../utils/logger.js';
+
+// GPIO via the Linux character device (/dev/gpiochipN) using the libgpiod
+// command line tools (apt install gpiod). Handles both the v1 and v2 tool
+// syntax; the version is detected from `gpiodetect --version`.
+// The chardev releases a line when the process holding it exits, so each
+// driven output keeps a gpioset process running; changing the value
+// restarts it.
+
+// v1: "event:  RISING EDGE offset: 17 timestamp: [...]"
+// v2: "1712.345678901\trising\tgpiochip0 17"
+const EDGE_PATTERN = /\b(rising|falling)\b/i;
+
+function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: 5000 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`${command} failed: ${stderr.trim() || error.message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+export function parseLibgpiodVersion(output) {
+  const match = /v(\d+)\./.exec(output);
+  return match ? parseInt(match[1], 10) : 1;
+}
+
+export function parseEdge(line) {
+  const match = EDGE_PATTERN.exec(line);
+  if (!match) {
+    return null;
+  }
+  return match[1].toLowerCase() === 'rising' ? 1 : 0;
+}
+
+export class ChardevGpioDriver {
+  constructor(options) {
+    this.name = 'chardev';
+    this.chip = options.chip;
+    this.version = null;
+    this.monitors = new Map(); // line → { process, value }
+    this.outputs = new Map(); // line → { process, value }
+  }
+
+  async getVersion() {
+    if (this.version === null) {
+      try {
+        this.version = parseLibgpiodVersion(await runCommand('gpiodetect', ['--version']));
+      } catch (error) {
+        throw new Error(`libgpiod tools not available (${error.message}). Install with: sudo apt install gpiod`);
+      }
+    }
+    return this.version;
+  }
+
+  // Common line options; v1 puts the chip before the offsets, v2 uses --chip
+  lineArgs(version, line, { activeLow = false, bias = null } = {}) {
+    const args = [];
+    if (activeLow) {
+      args.push('-l');
+    }
+    if (bias) {
+      args.push(version >= 2 ? '-b' : '-B', bias);
+    }
+    if (version >= 2) {
+      args.push('-c', this.chip, line.toString());
+    } else {
+      args.push(this.chip, line.toString());
+    }
+    return args;
+  }
+
+  async readInput(line, options = {}) {
+    // A monitored or driven line is held by gpiomon/gpioset, so report its
+    // last known value
+    const held = this.monitors.get(line) || this.outputs.get(line);
+    if (held) {
+      return held.value;
+    }
+
+    const version = await this.getVersion();
+    const args = this.lineArgs(version, line, options);
+    if (version >= 2) {
+      args.unshift('--numeric');
+    }
+    return parseInt((await runCommand('gpioget', args)).trim(), 10) ? 1 : 0;
+  }
+
+  // Calls onChange(value) on every edge (1 = active). Returns a stop function.
+  async watchInput(line, options, onChange) {
+    const initial = await this.readInput(line, options);
+    const version = await this.getVersion();
+    const child = spawn('gpiomon', this.lineArgs(version, line, options), {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const monitor = { process: child, value: initial, stopped: false };
+    this.monitors.set(line, monitor);
+
+    let pending = '';
+    child.stdout.on('data', (data) => {
+      pending += data.toString();
+      const lines = pending.split('\n');
+      pending = lines.pop();
+
+      for (const text of lines) {
+        const value = parseEdge(text);
+        if (value !== null && value !== monitor.value) {
+          monitor.value = value;
+          onChange(value);
+        }
+      }
+    });
+
+    child.stderr.on('data', (data) => {
+      logger.debug('gpiomon stderr:', data.toString());
+    });
+
+    child.on('error', (error) => {
+      logger.error(`GPIO monitor for ${this.chip} line ${line} failed:`, error.message);
+    });
+
+    child.on('close', (code) => {
+      if (this.monitors.get(line) === monitor) {
+        this.monitors.delete(line);
+      }
+      if (!monitor.stopped) {
+        logger.error(`GPIO monitor for ${this.chip} line ${line} exited (code ${code})`);
+      }
+    });
+
+    logger.debug(`Watching GPIO ${this.chip} line ${line} (libgpiod v${version})`);
+
+    return () => {
+      monitor.stopped = true;
+      child.kill('SIGTERM');
+    };
+  }
+
+  // Drive an output (1 = active). Resolves once gpioset holds the line.
+  async writeOutput(line, value, { activeLow = false } = {}) {
+    const version = await this.getVersion();
+    const current = this.outputs.get(line);
+    if (current && current.value === value) {
+      return;
+    }
+    if (current) {
+      await this.releaseOutput(line);
+    }
+
+    const args = [];
+    if (activeLow) {
+      args.push('-l');
+    }
+    if (version >= 2) {
+      args.push('-c', this.chip, `${line}=${value}`);
+    } else {
+      args.push('--mode=signal', this.chip, `${line}=${value}`);
+    }
+
+    const child = spawn('gpioset', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    const output = { process: child, value, stopped: false };
+    this.outputs.set(line, output);
+
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    // gpioset only exits early on failure (line busy, bad chip...)
+    await new Promise((resolve, reject) => {
+      const settle = setTimeout(resolve, 100);
+      child.on('error', (error) => {
+        clearTimeout(settle);
+        reject(new Error(`gpioset failed: ${error.message}`));
+      });
+      child.on('close', (code) => {
+        if (this.outputs.get(line) === output) {
+          this.outputs.delete(line);
+        }
+        if (!output.stopped) {
+          clearTimeout(settle);
+          logger.error(`GPIO output ${this.chip} line ${line} released (gpioset exited with code ${code})`);
+          reject(new Error(`gpioset failed: ${stderr.trim() || `exit code ${code}`}`));
+        }
+      });
+    });
+
+    logger.debug(`GPIO ${this.chip} line ${line} → ${value}`);
+  }
+
+  releaseOutput(line) {
+    const output = this.outputs.get(line);
+    if (!output) {
+      return Promise.resolve();
+    }
+
+    output.stopped = true;
+    this.outputs.delete(line);
+    if (output.process.exitCode !== null || output.process.signalCode !== null) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      output.process.once('close', resolve);
+      output.process.kill('SIGTERM');
+    });
+  }
+
+  close() {
+    for (const monitor of this.monitors.values()) {
+      monitor.stopped = true;
+      monitor.process.kill('SIGTERM');
+    }
+    this.monitors.clear();
+
+    for (const output of this.outputs.values()) {
+      output.stopped = true;
+      output.process.kill('SIGTERM');
+    }
+    this.outputs.clear();
+  }
+}
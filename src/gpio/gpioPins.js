@@ -0,0 +1,264 @@
+import { readFile } from 'fs/promises';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { ToolError } from '../tools/registry.js';
+
+// Named GPIO pins the agent may use, read from a JSON file (GPIO_PINS, see
+// gpio-pins.example.json):
+//
+//   "workshop_relay": { "line": 22, "direction": "out", "activeLow": true,
+//                       "description": "Workshop lights", "maxOnMs": 3600000 },
+//   "door_sensor":    { "line": 25, "direction": "in", "bias": "pull-up" }
+//
+// Safety rules for outputs:
+//   initial              value driven at startup and restored at shutdown (default 0)
+//   maxOnMs              turned off automatically this long after it went on, however
+//                        often it is switched on again; also caps pulses. Can't be
+//                        combined with initial 1 (it would stay on after shutdown).
+//   minSwitchIntervalMs  ignore changes that come faster (relay/motor protection)
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const OFF_RETRY_MS = 1000;
+
+// A request the pin's rules don't allow (as opposed to a driver failure)
+export class GpioRuleError extends Error {}
+
+// For tools: safety rules refusing the request are the agent's answer, not a
+// failure
+export function rejectRuleErrors(error) {
+  throw error instanceof GpioRuleError ? new ToolError('rejected', error.message) : error;
+}
+
+// A missing file means no pins
+export async function loadPinConfig(path = config.gpio.pinsPath) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.debug(`No GPIO pin config at ${path}`);
+      return {};
+    }
+    throw error;
+  }
+
+  let pins;
+  try {
+    pins = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`GPIO pin config ${path} is not valid JSON: ${error.message}`);
+  }
+
+  const lines = new Map();
+  for (const [name, pin] of Object.entries(pins)) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`GPIO pin '${name}': name must be lowercase letters, digits and underscores`);
+    }
+    if (!Number.isInteger(pin.line) || pin.line < 0) {
+      throw new Error(`GPIO pin '${name}': line must be a GPIO line number`);
+    }
+    if (!['in', 'out'].includes(pin.direction)) {
+      throw new Error(`GPIO pin '${name}': direction must be 'in' or 'out'`);
+    }
+    if (pin.direction === 'out' && pin.initial && pin.maxOnMs) {
+      throw new Error(`GPIO pin '${name}': initial 1 can't be combined with maxOnMs`);
+    }
+    if (lines.has(pin.line)) {
+      throw new Error(`GPIO pin '${name}': line ${pin.line} is already used by '${lines.get(pin.line)}'`);
+    }
+    lines.set(pin.line, name);
+  }
+  return pins;
+}
+
+export class GpioPins {
+  constructor(pins, driver) {
+    this.driver = driver;
+    this.pins = new Map(); // name → pin config + runtime state
+
+    for (const [name, pin] of Object.entries(pins)) {
+      this.pins.set(name, {
+        name,
+        description: pin.description || '',
+        line: pin.line,
+        direction: pin.direction,
+        activeLow: Boolean(pin.activeLow),
+        bias: pin.bias || null,
+        initial: pin.initial ? 1 : 0,
+        maxOnMs: pin.maxOnMs || null,
+        minSwitchIntervalMs: pin.minSwitchIntervalMs || 0,
+        value: null,
+        changedAt: 0,
+        onSince: null, // When it last went from off to on
+        offTimer: null,
+        pending: Promise.resolve() // Last queued operation, see serialize()
+      });
+    }
+  }
+
+  // Drive every output to its initial value
+  async init() {
+    for (const pin of this.pins.values()) {
+      if (pin.direction !== 'out') {
+        continue;
+      }
+      try {
+        await this.serialize(pin, () => this.write(pin, pin.initial));
+      } catch (error) {
+        logger.error(`GPIO pin '${pin.name}' (line ${pin.line}) could not be set up: ${error.message}`);
+      }
+    }
+    logger.info(`📍 GPIO pins: ${[...this.pins.keys()].join(', ')} (${this.driver.name} driver)`);
+  }
+
+  // Pin configs, optionally only inputs or outputs
+  list(direction = null) {
+    return [...this.pins.values()].filter((pin) => !direction || pin.direction === direction);
+  }
+
+  getPin(name, direction = null) {
+    const pin = this.pins.get(name);
+    if (!pin) {
+      throw new GpioRuleError(`Unknown GPIO pin '${name}'`);
+    }
+    if (direction && pin.direction !== direction) {
+      throw new GpioRuleError(`GPIO pin '${name}' is an ${pin.direction === 'in' ? 'input' : 'output'}`);
+    }
+    return pin;
+  }
+
+  // Runs fn once every earlier operation on the pin has finished, so a tool
+  // call can't interleave with the auto-off timer
+  serialize(pin, fn) {
+    const run = pin.pending.then(fn, fn);
+    pin.pending = run.catch(() => {});
+    return run;
+  }
+
+  async write(pin, value) {
+    await this.driver.writeOutput(pin.line, value, { activeLow: pin.activeLow });
+    // A failed 'off' keeps the pending auto-off
+    if (!value) {
+      clearTimeout(pin.offTimer);
+      pin.offTimer = null;
+    }
+    const now = Date.now();
+    // Setting up the initial value doesn't count as a switch
+    if (pin.value !== null && pin.value !== value) {
+      pin.changedAt = now;
+    }
+    if (value && pin.onSince === null) {
+      pin.onSince = now;
+    } else if (!value) {
+      pin.onSince = null;
+    }
+    pin.value = value;
+  }
+
+  // Returns { pin, value, autoOffMs }; autoOffMs is when the pulse or maxOnMs
+  // turns it off
+  async setOutput(name, value, onMs = null) {
+    const pin = this.getPin(name, 'out');
+    return this.serialize(pin, () => this.switchOutput(pin, value ? 1 : 0, onMs));
+  }
+
+  async switchOutput(pin, target, onMs) {
+    const { name } = pin;
+
+    if (pin.value !== target && pin.minSwitchIntervalMs > 0) {
+      const sinceMs = Date.now() - pin.changedAt;
+      if (sinceMs < pin.minSwitchIntervalMs) {
+        throw new GpioRuleError(`GPIO pin '${name}' was switched ${sinceMs}ms ago; wait ${pin.minSwitchIntervalMs - sinceMs}ms`);
+      }
+    }
+
+    if (target) {
+      this.checkOnTime(pin, onMs);
+    }
+    await this.write(pin, target);
+
+    // Switching on again keeps the max on-time deadline from when it first
+    // went on; a pulse can end it sooner, never later
+    let autoOffMs = null;
+    if (target) {
+      const maxOffAt = pin.maxOnMs ? pin.onSince + pin.maxOnMs : Infinity;
+      const pulseOffAt = onMs !== null ? Date.now() + onMs : Infinity;
+      const offAt = Math.min(maxOffAt, pulseOffAt);
+
+      if (offAt === Infinity) {
+        clearTimeout(pin.offTimer); // Plain 'on' ends an earlier pulse
+        pin.offTimer = null;
+      } else {
+        autoOffMs = Math.max(0, offAt - Date.now());
+        this.scheduleOff(pin, autoOffMs, pulseOffAt < maxOffAt ? 'pulse over' : 'max on-time reached');
+      }
+    }
+    logger.info(`📍 GPIO ${name} → ${target ? 'on' : 'off'}${autoOffMs !== null ? ` (off in ${autoOffMs}ms)` : ''}`);
+
+    return { pin: name, value: target, autoOffMs };
+  }
+
+  // Keeps retrying until the pin is off, unless it is switched again meanwhile
+  scheduleOff(pin, delayMs, reason) {
+    clearTimeout(pin.offTimer);
+    const timer = setTimeout(() => {
+      this.serialize(pin, async () => {
+        if (pin.offTimer !== timer) {
+          return; // Cancelled or re-armed while waiting for an earlier write
+        }
+        logger.info(`📍 GPIO ${pin.name} → off (${reason})`);
+        await this.write(pin, 0);
+      }).catch((error) => {
+        if (pin.offTimer === timer) {
+          logger.error(`GPIO pin '${pin.name}' could not be turned off: ${error.message}; retrying in ${OFF_RETRY_MS}ms`);
+          this.scheduleOff(pin, OFF_RETRY_MS, reason);
+        }
+      });
+    }, delayMs);
+    pin.offTimer = timer;
+  }
+
+  // On for durationMs, then off. Resolves once the pin is on.
+  async pulseOutput(name, durationMs) {
+    return this.setOutput(name, 1, durationMs);
+  }
+
+  checkOnTime(pin, requestedMs) {
+    if (requestedMs !== null && pin.maxOnMs && requestedMs > pin.maxOnMs) {
+      throw new GpioRuleError(`GPIO pin '${pin.name}' may be on for at most ${pin.maxOnMs}ms`);
+    }
+  }
+
+  async readInput(name) {
+    const pin = this.getPin(name);
+    if (pin.direction === 'out') {
+      return pin.value;
+    }
+    return this.driver.readInput(pin.line, { activeLow: pin.activeLow, bias: pin.bias });
+  }
+
+  // Outputs back to their initial value, then release the lines
+  async close() {
+    for (const pin of this.pins.values()) {
+      if (pin.direction === 'out' && pin.value !== null) {
+        try {
+          await this.serialize(pin, () => this.write(pin, pin.initial));
+        } catch (error) {
+          logger.error(`GPIO pin '${pin.name}' could not be reset: ${error.message}`);
+        }
+      }
+      // The driver is going away; nothing left to retry against
+      clearTimeout(pin.offTimer);
+      pin.offTimer = null;
+    }
+    this.driver.close();
+  }
+
+  getStatus() {
+    return Object.fromEntries([...this.pins.values()].map((pin) => [pin.name, {
+      line: pin.line,
+      direction: pin.direction,
+      value: pin.value,
+      autoOff: pin.offTimer !== null
+    }]));
+  }
+}
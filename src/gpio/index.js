@@ -0,0 +1,27 @@
+import { config } from '../config.js';
+import { ChardevGpioDriver } from './chardevDriver.js';
+import { SysfsGpioDriver } from './sysfsDriver.js';
+import { MockGpioDriver } from './mockDriver.js';
+
+// GPIO driver interface:
+//   name
+//   readInput(line, { activeLow, bias }) → Promise<0|1>
+//   watchInput(line, { activeLow, bias }, onChange(value)) → Promise<stop()>
+//   writeOutput(line, value, { activeLow }) → Promise
+//   close()
+// Values are logical: 1 means active (after active-low inversion).
+export function createGpioDriver(name = config.gpio.driver) {
+  switch (name) {
+    case 'chardev':
+      return new ChardevGpioDriver(config.gpio);
+
+    case 'sysfs':
+      return new SysfsGpioDriver(config.gpio);
+
+    case 'mock':
+      return new MockGpioDriver();
+
+    default:
+      throw new Error(`Unknown GPIO driver '${name}' (expected chardev, sysfs or mock)`);
+  }
+}
@@ -0,0 +1,57 @@
+import { logger } from '../utils/logger.js';
+
+// In-memory GPIO for development machines and tests. Inputs are driven with
+// setInput(), outputs with writeOutput(); every change is kept in `history`.
+export class MockGpioDriver {
+  constructor() {
+    this.name = 'mock';
+    this.values = new Map(); // line → 0/1 (logical, active = 1)
+    this.watchers = new Map(); // line → Set of onChange
+    this.history = [];
+  }
+
+  readInput(line) {
+    return Promise.resolve(this.values.get(line) || 0);
+  }
+
+  watchInput(line, options, onChange) {
+    if (!this.watchers.has(line)) {
+      this.watchers.set(line, new Set());
+    }
+    this.watchers.get(line).add(onChange);
+
+    return Promise.resolve(() => {
+      this.watchers.get(line)?.delete(onChange);
+    });
+  }
+
+  writeOutput(line, value) {
+    const normalized = value ? 1 : 0;
+    if (this.values.get(line) !== normalized) {
+      this.values.set(line, normalized);
+      this.history.push({ line, direction: 'out', value: normalized, at: Date.now() });
+      logger.debug(`Mock GPIO output ${line} → ${normalized}`);
+    }
+    return Promise.resolve();
+  }
+
+  // Simulate the outside world changing an input
+  setInput(line, value) {
+    const normalized = value ? 1 : 0;
+    if ((this.values.get(line) || 0) === normalized) {
+      return;
+    }
+
+    this.values.set(line, normalized);
+    this.history.push({ line, direction: 'in', value: normalized, at: Date.now() });
+    logger.debug(`Mock GPIO line ${line} → ${normalized}`);
+
+    for (const onChange of this.watchers.get(line) || []) {
+      onChange(normalized);
+    }
+  }
+
+  close() {
+    this.watchers.clear();
+  }
+}
@@ -0,0 +1,105 @@
+import { access, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { logger } from '../utils/logger.js';
+
+// Legacy sysfs GPIO (/sys/class/gpio), for kernels or images without the
+// libgpiod tools. Lines are exported on first use and polled for changes.
+// `base` is added to line offsets (newer kernels number the Pi's header
+// GPIOs from 512). `root` can point at a fake tree for testing.
+export class SysfsGpioDriver {
+  constructor(options) {
+    this.name = 'sysfs';
+    this.root = options.sysfsRoot;
+    this.base = options.sysfsBase || 0;
+    this.pollIntervalMs = options.pollIntervalMs || 20;
+    this.timers = new Set();
+    this.outputs = new Set(); // Lines already set up as outputs
+  }
+
+  linePath(line, file) {
+    return join(this.root, `gpio${this.base + line}`, file);
+  }
+
+  async exportLine(line, direction, { activeLow = false, bias = null } = {}) {
+    try {
+      await access(this.linePath(line, 'value'));
+    } catch {
+      await writeFile(join(this.root, 'export'), `${this.base + line}`);
+    }
+
+    await writeFile(this.linePath(line, 'direction'), direction);
+    await writeFile(this.linePath(line, 'active_low'), activeLow ? '1' : '0');
+
+    if (bias) {
+      logger.debug(`sysfs GPIO can't set bias '${bias}' on line ${line}; configure it in config.txt`);
+    }
+  }
+
+  // active_low must be set before the direction, or the line briefly
+  // drives the wrong level; "low"/"high" set direction and value at once
+  async writeOutput(line, value, { activeLow = false } = {}) {
+    if (!this.outputs.has(line)) {
+      try {
+        await access(this.linePath(line, 'value'));
+      } catch {
+        await writeFile(join(this.root, 'export'), `${this.base + line}`);
+      }
+      await writeFile(this.linePath(line, 'active_low'), activeLow ? '1' : '0');
+      const physical = activeLow ? 1 - value : value;
+      await writeFile(this.linePath(line, 'direction'), physical ? 'high' : 'low');
+      this.outputs.add(line);
+      return;
+    }
+
+    await writeFile(this.linePath(line, 'value'), value ? '1' : '0');
+  }
+
+  async readValue(line) {
+    return parseInt((await readFile(this.linePath(line, 'value'), 'utf8')).trim(), 10) ? 1 : 0;
+  }
+
+  async readInput(line, options = {}) {
+    // Reading an output must not turn it into an input
+    if (this.outputs.has(line)) {
+      return this.readValue(line);
+    }
+    await this.exportLine(line, 'in', options);
+    return this.readValue(line);
+  }
+
+  async watchInput(line, options, onChange) {
+    let value = await this.readInput(line, options);
+    let polling = false;
+
+    const timer = setInterval(async () => {
+      if (polling) {
+        return;
+      }
+      polling = true;
+      try {
+        const current = await this.readValue(line);
+        if (current !== value) {
+          value = current;
+          onChange(value);
+        }
+      } catch (error) {
+        logger.debug(`sysfs GPIO line ${line} read failed:`, error.message);
+      } finally {
+        polling = false;
+      }
+    }, this.pollIntervalMs);
+    this.timers.add(timer);
+
+    return () => {
+      clearInterval(timer);
+      this.timers.delete(timer);
+    };
+  }
+
+  close() {
+    for (const timer of this.timers) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+  }
+}
@@ -1,40 +1,157 @@
 #!/usr/bin/env node
 
+import { spawn } from 'child_process';
 import { ElevenLabsClient } from './websocket/elevenlabsClient.js';
 import { AudioManager } from './audio/audioManager.js';
+import { CaptureHub } from './audio/captureHub.js';
+import { createAudioBackend } from './audio/backends/index.js';
 import { VoiceActivationDetector } from './voiceActivation.js';
+import { PushToTalk } from './pushToTalk.js';
+import { PreRollBuffer } from './audio/preRollBuffer.js';
+import { SessionStateMachine, SessionState } from './session/sessionStateMachine.js';
+import { ConversationEndDetector } from './session/conversationEndDetector.js';
+import { createToolRegistry } from './tools/index.js';
+import { Telemetry } from './telemetry/telemetry.js';
+import { PowerMonitor } from './power/powerMonitor.js';
+import { createBatteryGauge } from './power/index.js';
+import { MqttBridge } from './mqtt/mqttBridge.js';
+import { loadMqttConfig } from './mqtt/mqttActions.js';
+import { GpioPins, loadPinConfig } from './gpio/gpioPins.js';
+import { createGpioDriver } from './gpio/index.js';
+import { CommandAllowlist } from './commands/commandAllowlist.js';
 import { logger } from './utils/logger.js';
 import { config } from './config.js';
 
 class ElevenLabsAgent {
   constructor() {
     this.client = new ElevenLabsClient();
-    this.audioManager = new AudioManager();
+    this.audioBackend = createAudioBackend(config.audio.backend);
+    this.captureHub = new CaptureHub(this.audioBackend);
+    this.audioManager = new AudioManager(this.captureHub, this.audioBackend);
+    this.preRollBuffer = new PreRollBuffer(
+      config.audio.preRollMs,
+      config.audio.sampleRate,
+      config.audio.channels
+    );
     this.voiceActivation = new VoiceActivationDetector(
+      this.captureHub,
       () => this.onSpeechStart(),
-      () => this.onSpeechEnd()
+      () => this.handleLocalSpeechEnd()
+    );
+    // Push-to-talk replaces voice activation; audio from before the press
+    // must never reach the agent, so the pre-roll starts at the press
+    this.pushToTalk = config.activation.mode === 'push_to_talk'
+      ? new PushToTalk(
+        () => {
+          this.preRollBuffer.clear();
+          this.onSpeechStart();
+        },
+        () => this.onSpeechEnd()
+      )
+      : null;
+    this.activation = this.pushToTalk || this.voiceActivation;
+    this.session = new SessionStateMachine();
+    this.telemetry = new Telemetry();
+    this.powerMonitor = new PowerMonitor(createBatteryGauge(), this.telemetry);
+    this.powerOffTimer = null; // Low-battery shutdown countdown
+    this.mqtt = null; // MQTT bridge, connected in start() when MQTT_URL is set
+    this.gpio = null; // Named GPIO pins, set up in start() when GPIO_PINS has any
+    this.commands = null; // Command allowlist for run_command, loaded in start()
+    this.tools = null; // Client tool registry, loaded in start()
+    this.toolController = new AbortController(); // Aborted to cancel running tool calls
+    // Push-to-talk sessions end from the button; voice-activated ones when
+    // the server-side signals say the conversation is over
+    this.endDetector = new ConversationEndDetector(
+      () => this.audioManager.isPlaying(),
+      (reason) => this.endSession(reason)
     );
+    this.pendingActivation = false; // Activation that arrived while the last session was closing
+    this.closeIssued = false; // Socket close sent for the session in 'ending'
+    this.endingResumable = true; // Whether speech during 'ending' keeps the session
     this.isRunning = false;
+    // Audio pipeline (pre-roll flush, uplink) is running
     this.conversationActive = false;
-    this.isConnected = false;
+    this.userTranscriptCount = 0;
     
     // Bind event handlers
     this.setupEventHandlers();
+    this.setupCaptureHandlers();
     this.setupSignalHandlers();
   }
 
   setupEventHandlers() {
     this.client.setEventHandlers({
       onConnect: () => this.handleConnect(),
-      onDisconnect: () => this.handleDisconnect(),
+      onConversationInitialized: (metadata) => this.handleConversationInitialized(metadata),
+      onDisconnect: (willReconnect) => this.handleDisconnect(willReconnect),
       onError: (error) => this.handleError(error),
       onAudioReceived: (audioData, eventId) => this.handleAudioReceived(audioData, eventId),
       onTranscriptReceived: (transcript) => this.handleTranscriptReceived(transcript),
       onAgentResponse: (response, isCorrection = false) => this.handleAgentResponse(response, isCorrection),
       onToolCall: (toolCall) => this.handleToolCall(toolCall),
       onVadScore: (vadScore) => this.handleVadScore(vadScore),
+      onInterruption: (eventId) => this.handleInterruption(eventId),
+      onAgentToolResponse: (toolResponse) => this.handleAgentToolResponse(toolResponse),
       onPing: (pingEvent) => this.handlePing(pingEvent)
     });
+
+    this.session.on('transition', (event) => this.handleSessionTransition(event));
+
+    this.powerMonitor.setEventHandlers({
+      onWarning: (message) => this.handlePowerWarning(message),
+      onCritical: (status) => this.handleCriticalBattery(status),
+      onRecovered: () => this.handlePowerRecovered()
+    });
+  }
+
+  setupCaptureHandlers() {
+    this.captureHub.setEventHandlers({
+      onDeviceLost: (error) => this.handleMicrophoneLost(error),
+      onDeviceRestored: (device) => this.handleMicrophoneRestored(device)
+    });
+
+    if (this.pushToTalk) {
+      this.pushToTalk.setEventHandlers({
+        onTalkStart: () => this.handleTalkStart(),
+        onTalkStop: (releasedAt) => this.handleTalkStop(releasedAt)
+      });
+    }
+  }
+
+  handleMicrophoneLost(error) {
+    logger.warn('🎤 Microphone missing - waiting for it to come back...', { reason: error.message });
+    this.voiceActivation.resetDetection();
+    this.preRollBuffer.clear();
+  }
+
+  handleMicrophoneRestored(device) {
+    logger.info(`🎤 Microphone is back (${device}) - listening again`);
+
+    // Capture subscribers stay attached; make sure activation is still listening
+    if (this.isRunning) {
+      this.activation.startListening().catch((error) => {
+        logger.error('Failed to resume voice activation:', error);
+      });
+    }
+  }
+
+  handleTalkStart() {
+    if (this.conversationActive) {
+      this.startRecording();
+    } else {
+      this.preRollBuffer.unpause();
+    }
+  }
+
+  // Released before the connection was up: only the audio up to the release
+  // goes out with the pre-roll
+  handleTalkStop(releasedAt) {
+    if (this.conversationActive) {
+      this.audioManager.stopRecording();
+    } else {
+      this.preRollBuffer.cutAfter(releasedAt);
+      this.preRollBuffer.pause();
+    }
   }
 
   setupSignalHandlers() {
@@ -56,6 +173,7 @@ class ElevenLabsAgent {
       logger.info('Starting ElevenLabs Agent on Raspberry Pi...');
       logger.info('Configuration:', {
         agentId: config.elevenlabs.agentId,
+        audioBackend: config.audio.backend,
         audioDevice: config.audio.deviceName,
         sampleRate: config.audio.sampleRate,
         debugEnabled: config.debug.enabled
@@ -63,15 +181,57 @@ class ElevenLabsAgent {
 
       this.isRunning = true;
 
+      // Read once: state topics for the bridge, actions for the tools
+      let mqttActions = {};
+      if (config.mqtt.url) {
+        const { actions, state } = await loadMqttConfig();
+        mqttActions = actions;
+        this.mqtt = new MqttBridge(state);
+        this.mqtt.connect();
+        this.client.setDynamicVariablesProvider(() => this.mqtt.getDynamicVariables());
+      }
+
+      const pins = await loadPinConfig();
+      if (Object.keys(pins).length > 0) {
+        this.gpio = new GpioPins(pins, createGpioDriver());
+        await this.gpio.init();
+      }
+
+      this.commands = await CommandAllowlist.load();
+
+      this.tools = await createToolRegistry({
+        config,
+        agent: this,
+        audioManager: this.audioManager,
+        captureHub: this.captureHub,
+        telemetry: this.telemetry,
+        power: this.powerMonitor,
+        mqtt: this.mqtt,
+        mqttActions,
+        gpio: this.gpio,
+        commands: this.commands
+      });
+      logger.info(`🔧 Client tools: ${this.tools.list().join(', ')}`);
+
+      await this.powerMonitor.start();
+
       // Check audio devices
       await this.audioManager.checkAudioDevices();
 
-      // Start voice activation detection (but don't connect to WebSocket yet)
-      await this.voiceActivation.startListening();
+      // Open the microphone once; VAD, pre-roll and uplink all share it
+      this.captureHub.start();
+      this.captureHub.subscribe('preroll', (chunk) => this.preRollBuffer.push(chunk));
 
-      logger.info('🎙️  ElevenLabs Agent is ready! Speak into your microphone to activate...');
-      logger.info('💡 WebSocket will connect automatically when speech is detected');
-      logger.info('⏱️  Connection will close after 20 seconds of silence');
+      // Start voice activation detection (but don't connect to WebSocket yet)
+      await this.activation.startListening();
+
+      if (this.pushToTalk) {
+        logger.info('🎙️  ElevenLabs Agent is ready! Press the push-to-talk button to activate...');
+      } else {
+        logger.info('🎙️  ElevenLabs Agent is ready! Speak into your microphone to activate...');
+        logger.info('💡 WebSocket will connect automatically when speech is detected');
+        logger.info(`⏱️  Connection will close ${config.conversationEnd.silenceTimeoutMs / 1000}s after the conversation goes quiet`);
+      }
 
     } catch (error) {
       logger.error('Failed to start ElevenLabs Agent:', error);
@@ -82,45 +242,208 @@ class ElevenLabsAgent {
 
   handleConnect() {
     logger.connection('Connected to ElevenLabs Agent');
-    this.isConnected = true;
+
+    // A reconnect can complete after the session was given up (or during shutdown)
+    if (!this.session.is(SessionState.CONNECTING)) {
+      logger.warn(`Connection opened in session state '${this.session.state}' - closing it`);
+      this.client.disconnect();
+    }
+  }
+
+  handleConversationInitialized(metadata) {
+    logger.connection('Conversation initialized', { conversationId: metadata.conversation_id });
+
+    try {
+      if (metadata.agent_output_audio_format) {
+        this.audioManager.configurePlayback(metadata.agent_output_audio_format);
+      }
+      if (metadata.user_input_audio_format) {
+        this.audioManager.configureUplink(metadata.user_input_audio_format);
+      }
+    } catch (error) {
+      logger.error(`Audio format negotiation failed: ${error.message}`);
+      logger.error('Change the agent audio formats in the ElevenLabs dashboard to a supported PCM or μ-law format');
+      this.session.transition(SessionState.ENDING, 'unsupported audio format');
+      this.closeSession();
+      return;
+    }
+
+    this.session.updateContext({ conversationId: metadata.conversation_id });
+    if (!this.session.transition(SessionState.ACTIVE, 'conversation initialized')) {
+      this.client.disconnect();
+      return;
+    }
+
     this.startConversation();
   }
 
-  handleDisconnect() {
+  handleDisconnect(willReconnect) {
     logger.connection('Disconnected from ElevenLabs Agent');
-    this.isConnected = false;
-    this.stopConversation();
+
+    switch (this.session.state) {
+      case SessionState.ACTIVE:
+        this.stopConversation();
+        if (willReconnect) {
+          this.session.transition(SessionState.CONNECTING, 'connection lost, reconnecting');
+        } else {
+          this.session.transition(SessionState.ENDING, 'connection lost');
+          this.session.transition(SessionState.COOLDOWN, 'disconnected');
+        }
+        return;
+
+      case SessionState.CONNECTING:
+        if (!willReconnect) {
+          this.session.transition(SessionState.COOLDOWN, 'connection failed');
+        }
+        return;
+
+      case SessionState.ENDING:
+        this.session.transition(SessionState.COOLDOWN, 'disconnected');
+        break;
+    }
+
+    // No session to resume
+    if (willReconnect) {
+      this.client.disconnect();
+    }
+  }
+
+  handleSessionTransition({ from, to, reason, durationMs }) {
+    logger.info(`🔁 Session ${from} → ${to} (${reason}, after ${durationMs}ms)`);
+
+    if (this.mqtt) {
+      this.mqtt.publishSessionState({ from, to, reason }, {
+        conversationId: this.session.context.conversationId || null
+      });
+    }
+
+    if (to === SessionState.ACTIVE && !this.pushToTalk) {
+      this.endDetector.start();
+    } else if (from === SessionState.ACTIVE) {
+      this.endDetector.stop();
+    }
+
+    switch (to) {
+      case SessionState.COOLDOWN:
+        this.stopConversation();
+        if (this.pushToTalk && !this.pendingActivation) {
+          this.pushToTalk.handleSessionEnded();
+        }
+        if (!this.session.isShuttingDown) {
+          this.session.schedule(config.session.cooldownMs, () => {
+            this.session.transition(SessionState.IDLE, 'cooldown over');
+          });
+        }
+        break;
+
+      case SessionState.IDLE:
+        if (this.pendingActivation) {
+          this.pendingActivation = false;
+          this.onSpeechStart();
+        }
+        break;
+    }
   }
 
   async onSpeechStart() {
-    if (this.isConnected) {
-      logger.info('🗣️  Speech detected (already connected)');
+    switch (this.session.state) {
+      case SessionState.IDLE:
+        break;
+
+      case SessionState.ENDING:
+        // The agent hung up: speech now is the user's goodbye, not a new request
+        if (!this.endingResumable) {
+          logger.info('🗣️  Speech detected while the agent ends the call - ignored');
+          return;
+        }
+        // Speech resumed before the socket closed: keep the session
+        if (!this.closeIssued) {
+          logger.info('🗣️  Speech resumed - keeping the session open');
+          this.session.transition(SessionState.ACTIVE, 'speech resumed');
+          return;
+        }
+        logger.info('🗣️  Speech detected while the session closes - reconnecting afterwards');
+        this.pendingActivation = true;
+        return;
+
+      case SessionState.COOLDOWN:
+        logger.info('🗣️  Speech detected during cooldown - reconnecting afterwards');
+        this.pendingActivation = true;
+        return;
+
+      default:
+        logger.info('🗣️  Speech detected (already connected)');
+        return;
+    }
+
+    if (!this.session.transition(SessionState.ARMING, 'activation')) {
+      return;
+    }
+
+    // Don't open a session the microphone can't feed
+    if (this.captureHub.getStatus().deviceState !== 'ok') {
+      this.session.transition(SessionState.IDLE, 'microphone missing');
       return;
     }
 
     logger.info('🗣️  Speech detected - connecting to ElevenLabs...');
+    this.session.transition(SessionState.CONNECTING, 'connecting');
     
     try {
       await this.client.connect();
     } catch (error) {
       logger.error('Failed to connect on speech detection:', error);
+      this.session.transition(SessionState.COOLDOWN, 'connection failed');
     }
   }
 
-  async onSpeechEnd() {
-    if (!this.isConnected) {
-      logger.info('🤫 Speech ended (already disconnected)');
+  // Push-to-talk: the button ended the session
+  onSpeechEnd() {
+    if (!this.session.is(SessionState.ACTIVE)) {
+      logger.info(`🤫 Speech ended (session ${this.session.state})`);
       return;
     }
 
     logger.info('🤫 Speech ended - disconnecting from ElevenLabs...');
-    
-    // Disconnect with a small delay to allow final processing
-    setTimeout(() => {
-      if (this.isConnected) {
-        this.client.disconnect();
+    this.endSession('speech ended');
+  }
+
+  // Local VAD silence only re-arms activation; a pause in speech doesn't end
+  // the conversation (ConversationEndDetector does)
+  handleLocalSpeechEnd() {
+    logger.debug(`Local speech ended (session ${this.session.state})`);
+  }
+
+  // Give the conversation a short grace period (speech may resume unless
+  // resumable is false), then play out remaining audio and close
+  endSession(reason, resumable = true) {
+    if (!this.session.transition(SessionState.ENDING, reason)) {
+      return;
+    }
+
+    this.closeIssued = false;
+    this.endingResumable = resumable;
+    this.session.schedule(config.session.endingGraceMs, () => this.closeSession());
+  }
+
+  async closeSession() {
+    // Let the agent finish its sentence before hanging up; speech during the
+    // drain can still resume the session
+    if (this.audioManager.isPlaying()) {
+      await this.audioManager.drainPlayback();
+      if (!this.session.is(SessionState.ENDING) || this.closeIssued) {
+        return;
       }
-    }, 2000);
+    }
+
+    this.closeIssued = true;
+    this.stopConversation();
+    this.client.disconnect();
+
+    // 'close' normally follows at once; don't wait forever on a dead peer
+    this.session.schedule(config.session.closeTimeoutMs, () => {
+      this.session.transition(SessionState.COOLDOWN, 'close timed out');
+    });
   }
 
   handleError(error) {
@@ -139,16 +462,24 @@ class ElevenLabsAgent {
   async handleAudioReceived(audioData, eventId) {
     try {
       logger.audio(`Playing audio response (event_id: ${eventId})`);
+      this.endDetector.noteAgentActivity();
+
+      // Full duplex: mic stays open (echo cancelled) so the user can barge in
+      if (this.audioManager.isFullDuplex()) {
+        await this.audioManager.playAudio(audioData, eventId);
+        return;
+      }
       
-      // Stop recording while playing agent response to avoid feedback
+      // Half duplex: stop recording while playing agent response to avoid feedback
       if (this.conversationActive) {
         this.audioManager.stopRecording();
       }
 
-      await this.audioManager.playAudio(audioData);
+      await this.audioManager.playAudio(audioData, eventId);
+      await this.audioManager.drainPlayback();
 
-      // Resume recording after playback
-      if (this.conversationActive && this.isRunning) {
+      // Resume recording once the agent has finished speaking
+      if (this.conversationActive && this.isRunning && !this.audioManager.isPlaying()) {
         setTimeout(() => {
           this.startRecording();
         }, 500); // Small delay to ensure clean audio
@@ -159,8 +490,24 @@ class ElevenLabsAgent {
     }
   }
 
+  handleInterruption(eventId) {
+    logger.info('✋ User interrupted the agent - stopping playback');
+    this.endDetector.noteUserInterruption();
+    this.audioManager.interrupt(eventId);
+    this.cancelTools('interrupted by the user');
+  }
+
   handleTranscriptReceived(transcript) {
     logger.info(`👤 User: "${transcript}"`);
+    this.userTranscriptCount++;
+    this.endDetector.noteUserTranscript();
+
+    if (this.mqtt) {
+      this.mqtt.publishEvent('user_transcript', {
+        text: transcript,
+        conversationId: this.session.context.conversationId || null
+      });
+    }
     
     // Send user activity signal
     this.client.sendUserActivity();
@@ -169,6 +516,109 @@ class ElevenLabsAgent {
   handleAgentResponse(response, isCorrection = false) {
     const prefix = isCorrection ? '🔄 Agent (corrected)' : '🤖 Agent';
     logger.info(`${prefix}: "${response}"`);
+    this.endDetector.noteAgentActivity();
+
+    if (this.mqtt) {
+      this.mqtt.publishEvent('agent_response', {
+        text: response,
+        isCorrection,
+        conversationId: this.session.context.conversationId || null
+      });
+    }
+  }
+
+  handleAgentToolResponse(toolResponse) {
+    const { tool_name, tool_type, is_error } = toolResponse;
+
+    if (is_error) {
+      logger.warn(`Agent ${tool_type} tool '${tool_name}' failed`, toolResponse);
+      return;
+    }
+
+    switch (tool_name) {
+      case 'end_call':
+        logger.info('📞 Agent ended the call');
+        this.endSession('agent ended call', false);
+        break;
+
+      case 'transfer_to_agent':
+        logger.info('🔀 Conversation transferred to another agent');
+        this.session.updateContext({
+          transfers: (this.session.context.transfers || 0) + 1,
+          lastTransferAt: new Date().toISOString()
+        });
+        // The new agent will introduce itself; that counts as agent activity
+        this.endDetector.noteAgentActivity();
+        break;
+
+      case 'language_detection':
+        logger.info('🌐 Agent switched conversation language');
+        this.session.updateContext({
+          languageSwitches: (this.session.context.languageSwitches || 0) + 1,
+          lastLanguageSwitchAt: new Date().toISOString()
+        });
+        break;
+
+      default:
+        logger.agent(`Agent ran ${tool_type} tool '${tool_name}'`);
+    }
+  }
+
+  handlePowerWarning(message) {
+    if (this.conversationActive) {
+      this.client.sendContextualUpdate(`Device power warning: ${message} Let the user know.`);
+    }
+  }
+
+  // Give the agent a moment to tell the user, then stop cleanly (and power
+  // the Pi off if a command is configured) before the UPS cuts out
+  handleCriticalBattery(status) {
+    if (this.powerOffTimer) {
+      return;
+    }
+
+    const delaySeconds = Math.round(config.power.shutdownDelayMs / 1000);
+    logger.error(`🪫 Battery at ${status.battery.percent}% - shutting down in ${delaySeconds}s`);
+
+    if (this.conversationActive) {
+      this.client.sendContextualUpdate(
+        `Device power warning: the battery is critically low (${status.battery.percent}%). ` +
+        `The device will shut down in ${delaySeconds} seconds. Tell the user and say goodbye.`
+      );
+    }
+
+    this.powerOffTimer = setTimeout(() => this.powerOff(), config.power.shutdownDelayMs);
+  }
+
+  // Power came back during the grace period
+  handlePowerRecovered() {
+    if (!this.powerOffTimer) {
+      return;
+    }
+
+    clearTimeout(this.powerOffTimer);
+    this.powerOffTimer = null;
+    logger.warn('🔋 Power recovered - low-battery shutdown cancelled');
+
+    if (this.conversationActive) {
+      this.client.sendContextualUpdate(
+        'Device power update: power is back, the shutdown has been cancelled. Let the user know.'
+      );
+    }
+  }
+
+  powerOff() {
+    this.powerOffTimer = null;
+    this.shutdown('low battery');
+
+    const command = config.power.shutdownCommand.trim();
+    if (command) {
+      logger.warn(`🪫 Running shutdown command: ${command}`);
+      const [program, ...args] = command.split(/\s+/);
+      const child = spawn(program, args, { detached: true, stdio: 'ignore' });
+      child.on('error', (error) => logger.error(`Shutdown command failed: ${error.message}`));
+      child.unref();
+    }
   }
 
   handleToolCall(toolCall) {
@@ -180,70 +630,30 @@ class ElevenLabsAgent {
 
   async executeToolCall(toolCall) {
     const { tool_name, tool_call_id, parameters } = toolCall;
-    
-    try {
-      let result = '';
-      let isError = false;
-
-      switch (tool_name) {
-        case 'get_device_status':
-          result = await this.getDeviceStatus();
-          break;
-          
-        case 'get_system_info':
-          result = await this.getSystemInfo();
-          break;
-          
-        case 'check_audio_devices':
-          result = await this.checkAudioDevicesInfo();
-          break;
-
-        default:
-          result = `Tool '${tool_name}' is not implemented on this device.`;
-          isError = true;
-          logger.warn(`Unhandled tool call: ${tool_name}`, parameters);
-      }
-
-      // Send result back to agent
-      this.client.sendToolResult(tool_call_id, result, isError);
 
-    } catch (error) {
-      logger.error(`Error executing tool '${tool_name}':`, error);
-      this.client.sendToolResult(tool_call_id, error.message, true);
+    const { result, isError } = await this.tools.execute(tool_name, parameters, this.toolController.signal);
+    if (isError) {
+      logger.debug(`Tool '${tool_name}' error result`, { parameters, result });
     }
-  }
 
-  async getDeviceStatus() {
-    return JSON.stringify({
-      device: 'Raspberry Pi 4',
-      os: 'Ubuntu 24 LTS Server',
-      microphone: config.audio.deviceName,
-      status: 'online',
-      timestamp: new Date().toISOString()
-    });
-  }
+    // The conversation this call belonged to is gone
+    if (!this.conversationActive) {
+      logger.debug(`Dropping result of tool '${tool_name}' - conversation has ended`);
+      return;
+    }
 
-  async getSystemInfo() {
-    const os = await import('os');
-    return JSON.stringify({
-      platform: os.platform(),
-      arch: os.arch(),
-      memory: `${Math.round(os.totalmem() / 1024 / 1024 / 1024)}GB`,
-      uptime: `${Math.round(os.uptime() / 3600)}h`,
-      loadavg: os.loadavg()
-    });
+    // Send result back to agent
+    this.client.sendToolResult(tool_call_id, result, isError);
   }
 
-  async checkAudioDevicesInfo() {
-    return JSON.stringify({
-      configured_microphone: config.audio.deviceName,
-      sample_rate: config.audio.sampleRate,
-      channels: config.audio.channels,
-      note: 'Use "aplay -l" and "arecord -l" to list available devices'
-    });
+  cancelTools(reason) {
+    this.toolController.abort(reason);
+    this.toolController = new AbortController();
   }
 
   handleVadScore(vadScore) {
+    this.endDetector.noteVadScore(vadScore);
+
     // Voice Activity Detection - you can use this for visual feedback
     if (config.debug.enabled && vadScore > 0.7) {
       logger.debug(`🎤 Voice activity detected (${vadScore.toFixed(2)})`);
@@ -265,11 +675,21 @@ class ElevenLabsAgent {
     try {
       logger.info('Starting conversation...');
       this.conversationActive = true;
+      this.userTranscriptCount = 0;
+      this.audioManager.resetInterruption();
+      // The previous conversation's stats were logged when it stopped
+      this.audioManager.resetPlaybackStats();
 
       // Send contextual update about the device
       this.client.sendContextualUpdate(
         'User is now connected via Raspberry Pi with Audio Technica ATR2100-USB microphone'
       );
+      for (const warning of this.powerMonitor.getActiveWarnings()) {
+        this.client.sendContextualUpdate(`Device power warning: ${warning}`);
+      }
+
+      // Send the buffered speech that triggered activation before live audio
+      this.flushPreRoll();
 
       // Start audio recording
       await this.startRecording();
@@ -280,7 +700,33 @@ class ElevenLabsAgent {
     }
   }
 
+  flushPreRoll() {
+    this.preRollBuffer.pause();
+    const audio = this.preRollBuffer.drain();
+
+    if (audio.length === 0) {
+      return;
+    }
+
+    logger.audio(`Flushing ${audio.length} bytes of pre-roll audio`);
+
+    // Send in 250ms slices (frame aligned) rather than one oversized message
+    const frameSize = this.preRollBuffer.frameSize;
+    const sliceSize = Math.max(frameSize, Math.floor((this.preRollBuffer.bytesPerMs * 250) / frameSize) * frameSize);
+
+    for (let offset = 0; offset < audio.length; offset += sliceSize) {
+      const slice = audio.subarray(offset, offset + sliceSize);
+      const convertedSlice = this.audioManager.convertAudioFormat(slice);
+      this.client.sendAudioChunk(convertedSlice.toString('base64'));
+    }
+  }
+
   async startRecording() {
+    // Push-to-talk: the mic only reaches the agent while the button is held
+    if (this.pushToTalk && !this.pushToTalk.isTalking()) {
+      return;
+    }
+
     try {
       await this.audioManager.startRecording((base64Audio) => {
         // Send audio chunks to ElevenLabs
@@ -298,26 +744,83 @@ class ElevenLabsAgent {
 
     logger.info('Stopping conversation...');
     this.conversationActive = false;
+    this.cancelTools('conversation ended');
+
+    const { jitterBuffer } = this.audioManager.getStatus();
+    logger.audio('Playback jitter buffer stats', {
+      underruns: jitterBuffer.underruns,
+      overruns: jitterBuffer.overruns,
+      averageDepthMs: jitterBuffer.averageDepthMs,
+      maxDepthMs: jitterBuffer.maxDepthMs
+    });
+
     this.audioManager.stopRecording();
+
+    // A wake word activation the user never followed up on was a false accept
+    if (this.userTranscriptCount === 0) {
+      this.voiceActivation.recordFalseAccept();
+    }
+
+    // Start collecting pre-roll again for the next activation
+    this.preRollBuffer.resume();
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isConnected: this.client.isConnected,
+      conversationActive: this.conversationActive,
+      session: this.session.getStatus(),
+      conversationEnd: this.endDetector.getStatus(),
+      connection: this.client.getStatus(),
+      audio: this.audioManager.getStatus(),
+      wakeWord: this.voiceActivation.getWakeWordStats(),
+      pushToTalk: this.pushToTalk ? this.pushToTalk.getStatus() : null,
+      tools: this.tools ? this.tools.getStatus() : null,
+      power: this.powerMonitor.getStatus(),
+      mqtt: this.mqtt ? this.mqtt.getStatus() : null,
+      gpio: this.gpio ? this.gpio.getStatus() : null
+    };
   }
 
   async shutdown(signal) {
     logger.info(`Shutting down ElevenLabs Agent (${signal})...`);
     
     this.isRunning = false;
+
+    // No new sessions or reconnects from here on
+    this.session.shutdown();
+    if (this.session.is(SessionState.CONNECTING, SessionState.ACTIVE)) {
+      this.session.transition(SessionState.ENDING, 'shutdown');
+    }
     
     // Stop voice activation
-    this.voiceActivation.stopListening();
+    this.activation.stopListening();
+
+    this.powerMonitor.stop();
+    if (this.powerOffTimer) {
+      clearTimeout(this.powerOffTimer);
+      this.powerOffTimer = null;
+    }
     
     // Stop conversation
     this.stopConversation();
     
     // Cleanup audio
     this.audioManager.cleanup();
+    this.captureHub.stop();
+    this.audioBackend.close();
     
-    // Disconnect WebSocket
-    if (this.isConnected) {
-      this.client.disconnect();
+    // Disconnect WebSocket (also cancels a pending reconnect)
+    this.client.disconnect();
+
+    if (this.mqtt) {
+      await this.mqtt.close();
+    }
+
+    // Relays and LEDs back to their safe state
+    if (this.gpio) {
+      await this.gpio.close();
     }
     
     logger.info('ElevenLabs Agent shutdown complete');
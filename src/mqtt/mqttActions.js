@@ -0,0 +1,137 @@
+import { readFile } from 'fs/promises';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { ToolError } from '../tools/registry.js';
+
+// MQTT config file (MQTT_CONFIG, see mqtt.example.json):
+//   actions: publish actions, each exposed to the agent as a client tool
+//     "workshop_lights_on": { "description", "topic", "payload", "retain", "qos",
+//                             "parameters": { "level": { "type": "integer", ... } } }
+//     `{name}` in the payload is filled from the tool parameters; a string that
+//     is exactly "{name}" keeps the parameter's type. Topics are fixed.
+//   state: retained topics offered as dynamic variables
+//     "workshop_lights": "home/workshop/lights/state"
+//     "workshop_temperature": { "topic": "lab/sensors/workshop", "field": "temperature" }
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const PLACEHOLDER = /\{(\w+)\}/g;
+const WHOLE_PLACEHOLDER = /^\{(\w+)\}$/;
+
+// A missing file means no actions and no state topics
+export async function loadMqttConfig(path = config.mqtt.configPath) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.debug(`No MQTT config at ${path}`);
+      return { actions: {}, state: {} };
+    }
+    throw error;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`MQTT config ${path} is not valid JSON: ${error.message}`);
+  }
+
+  const state = {};
+  for (const [name, entry] of Object.entries(parsed.state || {})) {
+    const { topic, field = null } = typeof entry === 'string' ? { topic: entry } : entry;
+    if (!ID_PATTERN.test(name) || !topic) {
+      throw new Error(`MQTT state '${name}': needs a lowercase name and a topic`);
+    }
+    state[name] = { topic, field };
+  }
+
+  for (const [id, action] of Object.entries(parsed.actions || {})) {
+    validateAction(id, action);
+  }
+
+  return { actions: parsed.actions || {}, state };
+}
+
+function validateAction(id, action) {
+  const fail = (message) => {
+    throw new Error(`MQTT action '${id}': ${message}`);
+  };
+
+  if (!ID_PATTERN.test(id)) {
+    fail('id must be lowercase letters, digits and underscores');
+  }
+  if (!action.description) {
+    fail('needs a description');
+  }
+  if (typeof action.topic !== 'string' || !action.topic || /[+#{}]/.test(action.topic)) {
+    fail('topic must be a fixed topic (no wildcards or placeholders)');
+  }
+  if (action.payload === undefined) {
+    fail('needs a payload');
+  }
+
+  const parameters = action.parameters || {};
+  for (const name of placeholders(action.payload)) {
+    if (!parameters[name]) {
+      fail(`placeholder {${name}} has no parameter definition`);
+    }
+  }
+}
+
+function placeholders(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const [, name] of value.matchAll(PLACEHOLDER)) {
+      found.add(name);
+    }
+  } else if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach((item) => placeholders(item, found));
+  }
+  return found;
+}
+
+export function fillPayload(template, params) {
+  if (typeof template === 'string') {
+    const whole = WHOLE_PLACEHOLDER.exec(template);
+    if (whole) {
+      return params[whole[1]];
+    }
+    return template.replace(PLACEHOLDER, (match, name) => String(params[name]));
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => fillPayload(item, params));
+  }
+  if (template !== null && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, item]) => [key, fillPayload(item, params)]));
+  }
+  return template;
+}
+
+// Client tool definitions for the registry; they publish through context.mqtt
+export function createActionTools(actions) {
+  return Object.entries(actions).map(([id, action]) => {
+    const parameters = action.parameters || {};
+
+    return {
+      name: id,
+      description: action.description,
+      parameters: {
+        type: 'object',
+        properties: parameters,
+        required: Object.keys(parameters).filter((name) => parameters[name].default === undefined),
+        additionalProperties: false
+      },
+      async execute(params, { mqtt }) {
+        if (!mqtt || !mqtt.connected) {
+          throw new ToolError('unavailable', 'The MQTT broker is not connected');
+        }
+
+        const payload = fillPayload(action.payload, params);
+        const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        await mqtt.publish(action.topic, message, { retain: Boolean(action.retain), qos: action.qos ?? 1 });
+
+        logger.info(`📡 ${id}: published to ${action.topic}`);
+        return { published: true, topic: action.topic };
+      }
+    };
+  });
+}
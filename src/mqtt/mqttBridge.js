@@ -0,0 +1,189 @@
+import mqtt from 'mqtt';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+// Connects the agent to an MQTT broker (home/lab automation):
+//   <prefix>/status            'online' / 'offline' (retained, last will)
+//   <prefix>/session/state     current session state (retained)
+//   <prefix>/events/<type>     session transitions, transcripts, agent responses
+// Retained device state topics listed in the MQTT config file are
+// subscribed to and offered to conversations as dynamic variables.
+// The client reconnects on its own; publishing while offline is dropped
+// (events are only interesting live).
+export class MqttBridge {
+  constructor(stateTopics = {}, options = config.mqtt) {
+    this.options = options;
+    this.prefix = options.topicPrefix;
+    this.stateTopics = stateTopics; // variable name → { topic, field }
+    this.stateValues = new Map(); // variable name → value
+    this.client = null;
+    this.connected = false;
+  }
+
+  topic(path) {
+    return `${this.prefix}/${path}`;
+  }
+
+  connect() {
+    if (this.client) {
+      return;
+    }
+
+    logger.info(`📡 Connecting to MQTT broker ${this.options.url}...`);
+
+    this.client = mqtt.connect(this.options.url, {
+      clientId: this.options.clientId,
+      username: this.options.username,
+      password: this.options.password,
+      reconnectPeriod: this.options.reconnectPeriodMs,
+      will: { topic: this.topic('status'), payload: 'offline', retain: true, qos: 1 }
+    });
+
+    this.client.on('connect', () => this.handleConnect());
+    this.client.on('close', () => {
+      if (this.connected) {
+        logger.warn('📡 MQTT connection lost - reconnecting');
+      }
+      this.connected = false;
+    });
+    this.client.on('error', (error) => {
+      logger.warn(`📡 MQTT error: ${error.message}`);
+    });
+    this.client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+  }
+
+  async handleConnect() {
+    this.connected = true;
+    logger.info('📡 Connected to MQTT broker');
+
+    try {
+      await this.client.publishAsync(this.topic('status'), 'online', { retain: true, qos: 1 });
+
+      const topics = [...new Set(Object.values(this.stateTopics).map(({ topic }) => topic))];
+      if (topics.length > 0) {
+        await this.client.subscribeAsync(topics, { qos: 1 });
+        logger.debug(`Subscribed to ${topics.length} MQTT state topic(s)`);
+      }
+    } catch (error) {
+      logger.warn(`📡 MQTT setup after connect failed: ${error.message}`);
+    }
+  }
+
+  handleMessage(topic, payload) {
+    for (const [name, { topic: stateTopic, field }] of Object.entries(this.stateTopics)) {
+      if (stateTopic !== topic) {
+        continue;
+      }
+
+      const value = extractValue(payload.toString(), field);
+      if (value === undefined) {
+        this.stateValues.delete(name);
+      } else {
+        this.stateValues.set(name, value);
+      }
+      logger.debug(`MQTT state ${name} = ${JSON.stringify(value)}`);
+    }
+  }
+
+  // Latest retained device state, for conversation_initiation_client_data
+  getDynamicVariables() {
+    return Object.fromEntries(this.stateValues);
+  }
+
+  // Fire-and-forget; never throws
+  publishEvent(type, data = {}) {
+    this.publishJson(this.topic(`events/${type}`), { type, ...data, timestamp: new Date().toISOString() });
+  }
+
+  publishSessionState({ from, to, reason }, context = {}) {
+    const message = { state: to, previous: from, reason, ...context, timestamp: new Date().toISOString() };
+    this.publishJson(this.topic('session/state'), message, { retain: true });
+    this.publishJson(this.topic('events/session'), message);
+  }
+
+  publishJson(topic, message, { retain = false } = {}) {
+    if (!this.connected) {
+      return;
+    }
+    this.client.publish(topic, JSON.stringify(message), { retain, qos: 0 }, (error) => {
+      if (error) {
+        logger.warn(`📡 MQTT publish to ${topic} failed: ${error.message}`);
+      }
+    });
+  }
+
+  // For action tools: resolves once the broker has the message (QoS 1+)
+  async publish(topic, payload, { retain = false, qos = 1 } = {}) {
+    if (!this.connected) {
+      throw new Error('MQTT broker is not connected');
+    }
+    await this.client.publishAsync(topic, payload, { retain, qos });
+  }
+
+  async close() {
+    if (!this.client) {
+      return;
+    }
+
+    const client = this.client;
+    const closing = (async () => {
+      if (this.connected) {
+        await client.publishAsync(this.topic('status'), 'offline', { retain: true, qos: 1 });
+      }
+      this.connected = false;
+      await client.endAsync();
+    })();
+
+    // Don't hold up shutdown for an unresponsive broker
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('broker did not respond')), this.options.closeTimeoutMs);
+    });
+
+    try {
+      await Promise.race([closing, timeout]);
+    } catch (error) {
+      logger.debug(`MQTT close: ${error.message}`);
+      client.end(true);
+    } finally {
+      clearTimeout(timer);
+    }
+    this.client = null;
+    this.connected = false;
+  }
+
+  getStatus() {
+    return {
+      url: this.options.url,
+      connected: this.connected,
+      dynamicVariables: this.getDynamicVariables()
+    };
+  }
+}
+
+// JSON payloads can be narrowed to one field ("a.b"); anything that isn't a
+// string, number or boolean is passed on as JSON text. An empty payload
+// (cleared retained message) removes the variable.
+export function extractValue(text, field = null) {
+  if (text === '') {
+    return undefined;
+  }
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return text;
+  }
+
+  if (field) {
+    for (const key of field.split('.')) {
+      value = value !== null && typeof value === 'object' ? value[key] : undefined;
+    }
+  }
+
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
@@ -0,0 +1,65 @@
+import { execFile } from 'child_process';
+
+// MAX17040/MAX17048 fuel gauge (Geekworm X728, many Pi UPS HATs; address
+// 0x36) read with the i2c-tools CLI (apt install i2c-tools) - no native
+// addon needed. The chip only knows the cell, not whether mains is present.
+const REG_VCELL = 0x02;
+const REG_SOC = 0x04;
+
+function i2cget(bus, address, register) {
+  return new Promise((resolve, reject) => {
+    execFile('i2cget', ['-y', `${bus}`, `0x${address.toString(16)}`, `0x${register.toString(16)}`, 'w'],
+      { timeout: 2000 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`i2cget failed: ${stderr.trim() || error.message}`));
+        } else {
+          resolve(parseInt(stdout.trim(), 16));
+        }
+      });
+  });
+}
+
+// i2cget returns SMBus words low byte first; the gauge sends MSB first
+export function swapBytes(word) {
+  return ((word & 0xff) << 8) | (word >> 8);
+}
+
+// VCELL: 78.125 µV per LSB; SOC: high byte %, low byte 1/256 %
+export function decodeFuelGauge(vcellWord, socWord) {
+  const vcell = swapBytes(vcellWord);
+  const soc = swapBytes(socWord);
+  return {
+    voltage: Math.round(vcell * 78.125) / 1e6,
+    percent: Math.min(100, Math.round((soc >> 8) + (soc & 0xff) / 256))
+  };
+}
+
+export class I2cFuelGauge {
+  constructor(options) {
+    this.name = 'i2c';
+    this.bus = options.i2cBus;
+    this.address = options.i2cAddress;
+    this.lastVoltage = null;
+  }
+
+  async read() {
+    const vcell = await i2cget(this.bus, this.address, REG_VCELL);
+    const soc = await i2cget(this.bus, this.address, REG_SOC);
+    const { voltage, percent } = decodeFuelGauge(vcell, soc);
+
+    // A rising cell voltage is the only hint that the UPS is charging
+    const charging = this.lastVoltage !== null ? voltage > this.lastVoltage + 0.005 : null;
+    this.lastVoltage = voltage;
+
+    return {
+      source: `i2c:${this.bus}:0x${this.address.toString(16)}`,
+      percent,
+      voltage,
+      currentMa: null,
+      charging,
+      externalPower: null
+    };
+  }
+
+  close() {}
+}
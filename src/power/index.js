@@ -0,0 +1,29 @@
+import { config } from '../config.js';
+import { PowerSupplyGauge } from './powerSupplyGauge.js';
+import { I2cFuelGauge } from './i2cFuelGauge.js';
+import { MockBatteryGauge } from './mockGauge.js';
+
+// Battery gauge interface:
+//   name
+//   read() → Promise<{ source, percent, voltage, currentMa, charging, externalPower }>
+//            (fields the hardware can't tell are null)
+//   close()
+// Returns null for 'none' (mains only, no UPS).
+export function createBatteryGauge(name = config.power.gauge) {
+  switch (name) {
+    case 'sysfs':
+      return new PowerSupplyGauge(config.power);
+
+    case 'i2c':
+      return new I2cFuelGauge(config.power);
+
+    case 'mock':
+      return new MockBatteryGauge();
+
+    case 'none':
+      return null;
+
+    default:
+      throw new Error(`Unknown battery gauge '${name}' (expected sysfs, i2c, mock or none)`);
+  }
+}
@@ -0,0 +1,29 @@
+import { logger } from '../utils/logger.js';
+
+// In-memory battery for development machines and tests. The state is driven
+// with setState(); every change is kept in `history`.
+export class MockBatteryGauge {
+  constructor() {
+    this.name = 'mock';
+    this.state = {
+      percent: 100,
+      voltage: 4.1,
+      currentMa: null,
+      charging: false,
+      externalPower: true
+    };
+    this.history = [];
+  }
+
+  read() {
+    return Promise.resolve({ source: 'mock', ...this.state });
+  }
+
+  setState(changes) {
+    Object.assign(this.state, changes);
+    this.history.push({ ...changes, at: Date.now() });
+    logger.debug('Mock battery →', this.state);
+  }
+
+  close() {}
+}
@@ -0,0 +1,164 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+// Polls the supply (firmware under-voltage/throttle flags) and, if there is
+// one, the UPS battery. Raises a warning once per problem - repeated only
+// after it has cleared - and reports a critical battery once it has been
+// below criticalBatteryPercent for criticalReadings polls in a row while
+// not charging, so one bad reading can't shut the device down. A critical
+// battery that charges, gets external power back or reads above the
+// threshold again is reported as recovered.
+export class PowerMonitor {
+  constructor(gauge, telemetry, options = config.power) {
+    this.gauge = gauge; // null = no battery
+    this.telemetry = telemetry;
+    this.options = options;
+
+    this.eventHandlers = {
+      onWarning: null, // (message, status) - worth telling the user
+      onCritical: null, // (status) - battery about to run out
+      onRecovered: null // (status) - no longer critical
+    };
+
+    this.pollTimer = null;
+    this.status = null;
+    this.warnings = new Map(); // key → message, while the problem lasts
+    this.criticalCount = 0;
+    this.criticalRaised = false;
+  }
+
+  setEventHandlers(handlers) {
+    Object.assign(this.eventHandlers, handlers);
+  }
+
+  async start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    logger.info(`🔋 Power monitoring (${this.gauge ? `${this.gauge.name} battery gauge` : 'no battery'})`);
+    await this.poll();
+    this.pollTimer = setInterval(() => this.poll(), this.options.pollIntervalMs);
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.gauge) {
+      this.gauge.close();
+    }
+  }
+
+  // Fresh readings of the supply and battery
+  async read() {
+    const throttling = await this.telemetry.getThrottling();
+
+    let battery = null;
+    if (this.gauge) {
+      try {
+        battery = { available: true, ...(await this.gauge.read()) };
+      } catch (error) {
+        battery = { available: false, reason: error.message };
+      }
+    }
+
+    return {
+      supply: throttling.available
+        ? {
+          available: true,
+          underVoltage: throttling.underVoltage,
+          throttled: throttling.throttled ?? null,
+          underVoltageOccurred: throttling.underVoltageOccurred ?? null
+        }
+        : { available: false, reason: throttling.reason },
+      battery,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async poll() {
+    try {
+      this.status = await this.read();
+      this.evaluate(this.status);
+    } catch (error) {
+      logger.error('Power monitoring failed:', error);
+    }
+  }
+
+  evaluate(status) {
+    const { supply, battery } = status;
+    const { lowBatteryPercent, criticalBatteryPercent, hysteresisPercent } = this.options;
+
+    if (supply.available) {
+      this.updateWarning('underVoltage', supply.underVoltage,
+        'The power supply is under-voltage. The device may become unstable; check the power adapter and cable.', status);
+      this.updateWarning('throttled', supply.throttled,
+        'The CPU is being throttled (power or temperature), so responses may be slower.', status);
+    }
+
+    if (!battery || !battery.available || battery.percent === null) {
+      return;
+    }
+
+    this.updateWarning('onBattery', battery.externalPower === false,
+      `External power is lost. Running on battery at ${battery.percent}%.`, status);
+
+    // Low warning clears only once the battery is clearly above the threshold again
+    const isLow = this.warnings.has('lowBattery')
+      ? battery.percent <= lowBatteryPercent + hysteresisPercent
+      : battery.percent <= lowBatteryPercent && !battery.charging;
+    this.updateWarning('lowBattery', isLow,
+      `Battery is low: ${battery.percent}%. Connect power soon.`, status);
+
+    const isCritical = battery.percent <= criticalBatteryPercent && !battery.charging &&
+      battery.externalPower !== true;
+    if (isCritical) {
+      this.criticalCount++;
+    } else {
+      this.criticalCount = 0;
+      if (this.criticalRaised) {
+        this.criticalRaised = false;
+        logger.info(`🔋 Battery no longer critical: ${battery.percent}%${battery.charging ? ', charging' : ''}`);
+        if (this.eventHandlers.onRecovered) {
+          this.eventHandlers.onRecovered(status);
+        }
+      }
+    }
+
+    if (this.criticalCount >= this.options.criticalReadings && !this.criticalRaised) {
+      this.criticalRaised = true;
+      logger.error(`🪫 Battery critical: ${battery.percent}%`);
+      if (this.eventHandlers.onCritical) {
+        this.eventHandlers.onCritical(status);
+      }
+    }
+  }
+
+  updateWarning(key, active, message, status) {
+    if (active && !this.warnings.has(key)) {
+      this.warnings.set(key, message);
+      logger.warn(`🔋 ${message}`);
+      if (this.eventHandlers.onWarning) {
+        this.eventHandlers.onWarning(message, status);
+      }
+    } else if (!active && this.warnings.has(key)) {
+      this.warnings.delete(key);
+      logger.info(`🔋 Power problem cleared: ${key}`);
+    }
+  }
+
+  // Problems that still last, for conversations that start later
+  getActiveWarnings() {
+    return [...this.warnings.values()];
+  }
+
+  getStatus() {
+    return {
+      ...this.status,
+      warnings: this.getActiveWarnings(),
+      criticalBattery: this.criticalRaised
+    };
+  }
+}
@@ -0,0 +1,64 @@
+import { readFile, readdir } from 'fs/promises';
+import { join } from 'path';
+
+// Battery and mains state from the kernel's power_supply class
+// (/sys/class/power_supply), as exposed by UPS HATs with a kernel driver
+// (e.g. the MAX17040/BQ27xxx drivers) and by laptops. `root` can point at a
+// fake tree for testing.
+export class PowerSupplyGauge {
+  constructor(options) {
+    this.name = 'sysfs';
+    this.root = options.powerSupplyRoot;
+  }
+
+  async readAttribute(supply, attribute) {
+    try {
+      return (await readFile(join(this.root, supply, attribute), 'utf8')).trim();
+    } catch {
+      return null;
+    }
+  }
+
+  async read() {
+    let supplies;
+    try {
+      supplies = (await readdir(this.root)).sort();
+    } catch (error) {
+      throw new Error(`Cannot read ${this.root}: ${error.message}`);
+    }
+
+    let battery = null;
+    let externalPower = null;
+
+    for (const supply of supplies) {
+      const type = await this.readAttribute(supply, 'type');
+
+      if (type === 'Battery' && !battery) {
+        battery = supply;
+      } else if (type === 'Mains' || type === 'USB') {
+        const online = await this.readAttribute(supply, 'online');
+        externalPower = externalPower || online === '1';
+      }
+    }
+
+    if (!battery) {
+      throw new Error(`No battery in ${this.root}`);
+    }
+
+    const capacity = await this.readAttribute(battery, 'capacity');
+    const voltage = await this.readAttribute(battery, 'voltage_now'); // µV
+    const current = await this.readAttribute(battery, 'current_now'); // µA
+    const status = await this.readAttribute(battery, 'status'); // Charging, Discharging, Full...
+
+    return {
+      source: `sysfs:${battery}`,
+      percent: capacity !== null ? parseInt(capacity, 10) : null,
+      voltage: voltage !== null ? parseInt(voltage, 10) / 1e6 : null,
+      currentMa: current !== null ? parseInt(current, 10) / 1000 : null,
+      charging: status === 'Charging' || status === 'Full',
+      externalPower: externalPower ?? (status === 'Charging' || status === 'Full')
+    };
+  }
+
+  close() {}
+}
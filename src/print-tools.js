@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+import { config } from './config.js';
+import { createToolRegistry } from './tools/index.js';
+import { CommandAllowlist } from './commands/commandAllowlist.js';
+import { GpioPins, loadPinConfig } from './gpio/gpioPins.js';
+import { MockGpioDriver } from './gpio/mockDriver.js';
+import { loadMqttConfig } from './mqtt/mqttActions.js';
+
+// Prints the client tool definitions this device implements, as JSON in the
+// shape the agent's tool configuration uses, so the dashboard can be kept in
+// sync with the code.
+// Usage: npm run print-tools             (JSON array)
+//        npm run print-tools -- --list   (names and descriptions)
+
+async function main() {
+  // Tools described by configuration need it, not the running device
+  const registry = await createToolRegistry({
+    commands: await CommandAllowlist.load(),
+    gpio: new GpioPins(await loadPinConfig(), new MockGpioDriver()),
+    mqttActions: config.mqtt.url ? (await loadMqttConfig()).actions : {}
+  });
+  const definitions = registry.getDefinitions();
+
+  if (process.argv.includes('--list')) {
+    for (const { name, description, parameters } of definitions) {
+      const params = Object.keys(parameters.properties || {});
+      console.log(`${name}(${params.join(', ')})`);
+      console.log(`    ${description}`);
+    }
+    return;
+  }
+
+  console.log(JSON.stringify(definitions, null, 2));
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
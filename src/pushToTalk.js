@@ -0,0 +1,267 @@
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+import { createGpioDriver } from './gpio/index.js';
+
+// Push-to-talk activation from a GPIO button or a key on the TTY.
+// 'hold': the mic is open while the button is held; the session ends once
+//         the button has been released for sessionTimeoutMs.
+// 'toggle': one press starts the session, the next press ends it.
+export class PushToTalk {
+  constructor(onSpeechStart, onSpeechEnd, gpioDriver = null) {
+    this.onSpeechStart = onSpeechStart;
+    this.onSpeechEnd = onSpeechEnd;
+    this.options = config.pushToTalk;
+    this.gpio = gpioDriver || (this.options.source === 'gpio' ? createGpioDriver() : null);
+
+    this.eventHandlers = {
+      onTalkStart: null, // Mic should be sent to the agent
+      onTalkStop: null // (releasedAt) - mic should be muted
+    };
+
+    this.isListening = false;
+    this.isPressed = false;
+    this.talking = false;
+    this.sessionActive = false;
+    this.stopWatching = null;
+    this.debounceTimer = null;
+    this.keyReleaseTimer = null;
+    this.sessionTimer = null;
+    this.lastKeyAt = 0;
+    this.keyHandler = null;
+  }
+
+  setEventHandlers(handlers) {
+    Object.assign(this.eventHandlers, handlers);
+  }
+
+  async startListening() {
+    if (this.isListening) {
+      return;
+    }
+
+    const { source, mode } = this.options;
+    logger.info(`🔘 Starting push-to-talk (${source}, ${mode})...`);
+
+    if (source === 'gpio') {
+      this.stopWatching = await this.gpio.watchInput(
+        this.options.line,
+        { activeLow: this.options.activeLow, bias: this.options.bias },
+        (value) => this.handleInputChange(value)
+      );
+      logger.info(`Press the button on GPIO line ${this.options.line} to talk`);
+    } else if (source === 'keyboard') {
+      this.startKeyboard();
+      logger.info(`Press ${this.describeKey()} to talk`);
+    } else {
+      throw new Error(`Unknown push-to-talk source '${source}' (expected gpio or keyboard)`);
+    }
+
+    this.isListening = true;
+  }
+
+  stopListening() {
+    if (!this.isListening) {
+      return;
+    }
+
+    logger.info('🔘 Stopping push-to-talk');
+    this.isListening = false;
+
+    if (this.stopWatching) {
+      this.stopWatching();
+      this.stopWatching = null;
+    }
+    this.stopKeyboard();
+    this.clearTimers();
+    this.isPressed = false;
+    this.talking = false;
+  }
+
+  // Button edges are debounced: a new state must hold for debounceMs. The
+  // release is dated to the edge, not to the end of the debounce.
+  handleInputChange(value) {
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+    }
+    const edgeAt = Date.now();
+
+    this.debounceTimer = setTimeout(() => {
+      this.debounceTimer = null;
+      const pressed = value === 1;
+      if (pressed !== this.isPressed) {
+        this.isPressed = pressed;
+        pressed ? this.handlePress() : this.handleRelease(edgeAt);
+      }
+    }, this.options.debounceMs);
+  }
+
+  startKeyboard() {
+    if (!process.stdin.isTTY) {
+      throw new Error('Keyboard push-to-talk needs an interactive terminal (stdin is not a TTY)');
+    }
+
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+
+    this.keyHandler = (data) => {
+      const key = data.toString();
+
+      // Raw mode swallows Ctrl+C
+      if (key === '\u0003') {
+        process.kill(process.pid, 'SIGINT');
+        return;
+      }
+
+      if (key === this.options.key) {
+        this.handleKey();
+      }
+    };
+    process.stdin.on('data', this.keyHandler);
+  }
+
+  stopKeyboard() {
+    if (!this.keyHandler) {
+      return;
+    }
+
+    process.stdin.off('data', this.keyHandler);
+    process.stdin.setRawMode(false);
+    process.stdin.pause();
+    this.keyHandler = null;
+  }
+
+  // Terminals report key presses but not releases. Auto-repeat keeps sending
+  // the key while it is held, so the key counts as released once repeats
+  // stop for keyReleaseMs.
+  handleKey() {
+    const now = Date.now();
+    const isRepeat = now - this.lastKeyAt < this.options.keyReleaseMs;
+    this.lastKeyAt = now;
+
+    if (this.keyReleaseTimer) {
+      clearTimeout(this.keyReleaseTimer);
+    }
+    this.keyReleaseTimer = setTimeout(() => {
+      this.keyReleaseTimer = null;
+      if (this.isPressed) {
+        this.isPressed = false;
+        this.handleRelease(this.lastKeyAt);
+      }
+    }, this.options.keyReleaseMs);
+
+    if (!isRepeat && !this.isPressed) {
+      this.isPressed = true;
+      this.handlePress();
+    }
+  }
+
+  handlePress() {
+    if (this.options.mode === 'toggle') {
+      if (this.sessionActive) {
+        this.stopTalking();
+        this.endSession();
+      } else {
+        this.startTalking();
+        this.startSession();
+      }
+      return;
+    }
+
+    // Hold: pressing again within the timeout continues the same session
+    if (this.sessionTimer) {
+      clearTimeout(this.sessionTimer);
+      this.sessionTimer = null;
+    }
+    this.startTalking();
+    if (!this.sessionActive) {
+      this.startSession();
+    }
+  }
+
+  handleRelease(releasedAt = Date.now()) {
+    if (this.options.mode === 'toggle') {
+      return;
+    }
+
+    this.stopTalking(releasedAt);
+
+    // Leave the agent time to answer before closing the session
+    this.sessionTimer = setTimeout(() => {
+      this.sessionTimer = null;
+      if (this.sessionActive && !this.isPressed) {
+        logger.info('🔘 Push-to-talk idle - ending session');
+        this.endSession();
+      }
+    }, this.options.sessionTimeoutMs);
+  }
+
+  startTalking() {
+    logger.info('🔘 Push-to-talk pressed - mic open');
+    this.talking = true;
+    if (this.eventHandlers.onTalkStart) {
+      this.eventHandlers.onTalkStart();
+    }
+  }
+
+  stopTalking(releasedAt = Date.now()) {
+    logger.info('🔘 Push-to-talk released - mic muted');
+    this.talking = false;
+    if (this.eventHandlers.onTalkStop) {
+      this.eventHandlers.onTalkStop(releasedAt);
+    }
+  }
+
+  startSession() {
+    this.sessionActive = true;
+    if (this.onSpeechStart) {
+      this.onSpeechStart();
+    }
+  }
+
+  endSession() {
+    this.sessionActive = false;
+    if (this.onSpeechEnd) {
+      this.onSpeechEnd();
+    }
+  }
+
+  // The session ended from the other side (server disconnect, error)
+  handleSessionEnded() {
+    this.sessionActive = false;
+    if (this.sessionTimer) {
+      clearTimeout(this.sessionTimer);
+      this.sessionTimer = null;
+    }
+    if (this.options.mode === 'toggle') {
+      this.talking = false;
+    }
+  }
+
+  clearTimers() {
+    for (const name of ['debounceTimer', 'keyReleaseTimer', 'sessionTimer']) {
+      if (this[name]) {
+        clearTimeout(this[name]);
+        this[name] = null;
+      }
+    }
+  }
+
+  // Whether mic audio should currently reach the agent
+  isTalking() {
+    return this.talking;
+  }
+
+  describeKey() {
+    return this.options.key === ' ' ? 'SPACE' : `'${this.options.key}'`;
+  }
+
+  getStatus() {
+    return {
+      source: this.options.source,
+      mode: this.options.mode,
+      isPressed: this.isPressed,
+      isTalking: this.talking,
+      sessionActive: this.sessionActive
+    };
+  }
+}
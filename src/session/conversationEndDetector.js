@@ -0,0 +1,120 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+// Decides when an active conversation is over, from what the server reports
+// rather than the raw local mic (which also hears the agent):
+//   - vad_score above vadThreshold or a user_transcript = the user is talking
+//   - a user_transcript not yet answered = the agent is still thinking
+//   - agent_response / agent audio and playback = the agent is talking
+// The silence clock only runs once the agent has finished playing out, so
+// long answers are never cut off.
+export class ConversationEndDetector {
+  constructor(isPlaybackActive, onConversationOver, options = config.conversationEnd) {
+    this.isPlaybackActive = isPlaybackActive;
+    this.onConversationOver = onConversationOver;
+    this.silenceTimeoutMs = options.silenceTimeoutMs;
+    this.responseTimeoutMs = options.responseTimeoutMs;
+    this.vadThreshold = options.vadThreshold;
+    this.checkIntervalMs = options.checkIntervalMs;
+
+    this.checkTimer = null;
+    this.reset();
+  }
+
+  reset() {
+    const now = Date.now();
+    this.startedAt = now;
+    this.lastUserActivityAt = now;
+    this.lastUserTranscriptAt = 0;
+    this.lastAgentActivityAt = 0;
+    this.lastPlaybackAt = 0;
+  }
+
+  start() {
+    this.reset();
+    if (!this.checkTimer) {
+      this.checkTimer = setInterval(() => this.check(), this.checkIntervalMs);
+    }
+  }
+
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  isRunning() {
+    return this.checkTimer !== null;
+  }
+
+  noteVadScore(score) {
+    if (score >= this.vadThreshold) {
+      this.lastUserActivityAt = Date.now();
+    }
+  }
+
+  noteUserTranscript() {
+    this.lastUserTranscriptAt = Date.now();
+    this.lastUserActivityAt = this.lastUserTranscriptAt;
+  }
+
+  noteUserInterruption() {
+    this.lastUserActivityAt = Date.now();
+  }
+
+  // agent_response text or agent audio arriving
+  noteAgentActivity() {
+    this.lastAgentActivityAt = Date.now();
+  }
+
+  // The user said something the agent hasn't answered yet
+  isAwaitingAgent(now = Date.now()) {
+    return this.lastUserTranscriptAt > this.lastAgentActivityAt &&
+      now - this.lastUserTranscriptAt < this.responseTimeoutMs;
+  }
+
+  // Time since anyone last said anything, counted from the end of playback
+  getSilenceMs(now = Date.now()) {
+    return now - Math.max(this.lastUserActivityAt, this.lastAgentActivityAt, this.lastPlaybackAt);
+  }
+
+  check() {
+    const now = Date.now();
+
+    if (this.isPlaybackActive()) {
+      this.lastPlaybackAt = now;
+      return;
+    }
+
+    if (this.isAwaitingAgent(now)) {
+      return;
+    }
+
+    const silenceMs = this.getSilenceMs(now);
+    if (silenceMs < this.silenceTimeoutMs) {
+      return;
+    }
+
+    const reason = this.lastUserTranscriptAt > this.lastAgentActivityAt
+      ? 'agent did not respond'
+      : `no conversation for ${Math.round(silenceMs / 1000)}s`;
+
+    logger.info(`⏰ Conversation over: ${reason}`);
+    this.stop();
+
+    if (this.onConversationOver) {
+      this.onConversationOver(reason);
+    }
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      running: this.isRunning(),
+      silenceMs: this.getSilenceMs(now),
+      awaitingAgent: this.isAwaitingAgent(now),
+      silenceTimeoutMs: this.silenceTimeoutMs
+    };
+  }
+}
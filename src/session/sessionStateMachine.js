@@ -0,0 +1,132 @@
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+
+// Conversation session lifecycle:
+//
+//   idle ──▶ arming ──▶ connecting ──▶ active ──▶ ending ──▶ cooldown ──▶ idle
+//              │            │  ▲          │         │
+//              ▼            │  └──────────┘         ▼
+//             idle          ▼   (reconnect)       active (speech resumed
+//                       ending/cooldown              before the socket closed)
+//
+// idle:       listening for activation
+// arming:     activation accepted, connection not yet requested
+// connecting: WebSocket opening (or reconnecting after a drop)
+// active:     conversation initialized, audio streaming
+// ending:     wrapping up; the socket is closed at the end of this state
+// cooldown:   short pause before the next activation is accepted
+//
+// Every transition emits 'transition' ({ from, to, reason, durationMs })
+// and an event named after the new state. Invalid transitions are refused.
+// `context` holds facts about the current session (conversation id,
+// transfers, language changes); it is cleared when a new session arms and
+// every update emits 'context'.
+
+export const SessionState = Object.freeze({
+  IDLE: 'idle',
+  ARMING: 'arming',
+  CONNECTING: 'connecting',
+  ACTIVE: 'active',
+  ENDING: 'ending',
+  COOLDOWN: 'cooldown'
+});
+
+const TRANSITIONS = {
+  idle: ['arming'],
+  arming: ['connecting', 'idle'],
+  connecting: ['active', 'ending', 'cooldown'],
+  active: ['ending', 'connecting'],
+  ending: ['active', 'cooldown'],
+  cooldown: ['idle']
+};
+
+// States that open or keep a session; refused once shutdown has begun
+const SESSION_STATES = ['arming', 'connecting', 'active'];
+
+export class SessionStateMachine extends EventEmitter {
+  constructor() {
+    super();
+    this.state = SessionState.IDLE;
+    this.enteredAt = Date.now();
+    this.isShuttingDown = false;
+    this.timer = null;
+    this.history = [];
+    this.context = {};
+  }
+
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  canTransition(to) {
+    if (this.isShuttingDown && SESSION_STATES.includes(to)) {
+      return false;
+    }
+    return TRANSITIONS[this.state].includes(to);
+  }
+
+  // Returns false (and changes nothing) if the transition isn't allowed
+  transition(to, reason) {
+    if (!this.canTransition(to)) {
+      logger.debug(`Session transition ${this.state} → ${to} refused (${reason})`);
+      return false;
+    }
+
+    this.clearTimer();
+
+    const from = this.state;
+    const now = Date.now();
+    const event = { from, to, reason, durationMs: now - this.enteredAt };
+
+    this.state = to;
+    this.enteredAt = now;
+    if (to === SessionState.ARMING) {
+      this.context = {};
+    }
+    this.history.push({ ...event, at: new Date(now).toISOString() });
+    if (this.history.length > 20) {
+      this.history.shift();
+    }
+
+    this.emit('transition', event);
+    this.emit(to, event);
+    return true;
+  }
+
+  updateContext(changes) {
+    Object.assign(this.context, changes);
+    this.emit('context', this.context);
+  }
+
+  // Run fn after delayMs unless the state changes first. One timer at a time.
+  schedule(delayMs, fn) {
+    this.clearTimer();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      fn();
+    }, delayMs);
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // From now on only transitions that wind the session down are allowed
+  shutdown() {
+    this.isShuttingDown = true;
+    this.clearTimer();
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      sinceMs: Date.now() - this.enteredAt,
+      isShuttingDown: this.isShuttingDown,
+      context: this.context,
+      history: this.history.slice(-5)
+    };
+  }
+}
@@ -0,0 +1,306 @@
+import { readFile, readdir, statfs } from 'fs/promises';
+import { execFile } from 'child_process';
+import { join } from 'path';
+import os from 'os';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+// Raspberry Pi firmware throttling flags (vcgencmd get_throttled)
+const THROTTLE_BITS = {
+  underVoltage: 0,
+  frequencyCapped: 1,
+  throttled: 2,
+  softTempLimit: 3,
+  underVoltageOccurred: 16,
+  frequencyCappedOccurred: 17,
+  throttledOccurred: 18,
+  softTempLimitOccurred: 19
+};
+
+export function decodeThrottled(value) {
+  const flags = { raw: `0x${value.toString(16)}` };
+  for (const [name, bit] of Object.entries(THROTTLE_BITS)) {
+    flags[name] = Boolean(value & (1 << bit));
+  }
+  return flags;
+}
+
+// "some avg10=0.00 avg60=0.00 avg300=0.00 total=0" per line
+export function parsePressure(text) {
+  const result = {};
+  for (const line of text.trim().split('\n')) {
+    const [kind, ...fields] = line.trim().split(/\s+/);
+    result[kind] = {};
+    for (const field of fields) {
+      const [key, value] = field.split('=');
+      result[kind][key] = parseFloat(value);
+    }
+  }
+  return result;
+}
+
+// /proc/meminfo values in kB
+export function parseMeminfo(text) {
+  const result = {};
+  for (const line of text.split('\n')) {
+    const match = line.match(/^(\w+):\s+(\d+)/);
+    if (match) {
+      result[match[1]] = parseInt(match[2], 10);
+    }
+  }
+  return result;
+}
+
+// Reads device health from sysfs/procfs. Every source is independent: one
+// that is missing (not a Pi, no PSI, container...) falls back to a coarser
+// source or reports `available: false` with the reason, never throws.
+// `sysfsRoot` and `procRoot` can point at fake trees for testing, with
+// `networkInterfaces` standing in for os.networkInterfaces.
+export class Telemetry {
+  constructor(options = config.telemetry) {
+    this.sysfsRoot = options.sysfsRoot;
+    this.procRoot = options.procRoot;
+    this.osReleasePath = options.osReleasePath;
+    this.diskPath = options.diskPath;
+    this.commandTimeoutMs = options.commandTimeoutMs;
+    this.networkInterfaces = options.networkInterfaces || os.networkInterfaces;
+  }
+
+  async readText(path) {
+    return (await readFile(path, 'utf8')).trim();
+  }
+
+  async getCpuTemperature() {
+    const dir = join(this.sysfsRoot, 'class/thermal');
+    try {
+      const zones = (await readdir(dir)).filter((name) => name.startsWith('thermal_zone')).sort();
+      const readings = [];
+      for (const zone of zones) {
+        try {
+          const milli = parseInt(await this.readText(join(dir, zone, 'temp')), 10);
+          const type = await this.readText(join(dir, zone, 'type')).catch(() => zone);
+          if (Number.isFinite(milli)) {
+            readings.push({ zone, type, celsius: milli / 1000 });
+          }
+        } catch {
+          // Zone without a readable sensor
+        }
+      }
+
+      if (readings.length === 0) {
+        return { available: false, reason: `no readable thermal zones in ${dir}` };
+      }
+
+      const cpu = readings.find((r) => /cpu|soc|x86_pkg/i.test(r.type)) || readings[0];
+      return { available: true, celsius: cpu.celsius, sensor: cpu.type, source: 'sysfs' };
+    } catch (error) {
+      return { available: false, reason: error.message };
+    }
+  }
+
+  // Pi kernel exposes the firmware flags in sysfs; older images only via
+  // vcgencmd; the rpi_volt hwmon sensor at least knows about under-voltage
+  async getThrottling() {
+    try {
+      const text = await this.readText(join(this.sysfsRoot, 'devices/platform/soc/soc:firmware/get_throttled'));
+      return { available: true, source: 'sysfs', ...decodeThrottled(parseInt(text, 16)) };
+    } catch {
+      // Fall through to vcgencmd
+    }
+
+    try {
+      const output = await this.runCommand('vcgencmd', ['get_throttled']);
+      const match = output.match(/throttled=(0x[0-9a-f]+)/i);
+      if (match) {
+        return { available: true, source: 'vcgencmd', ...decodeThrottled(parseInt(match[1], 16)) };
+      }
+    } catch {
+      // Fall through to hwmon
+    }
+
+    try {
+      const hwmon = join(this.sysfsRoot, 'class/hwmon');
+      for (const name of await readdir(hwmon)) {
+        const sensor = await this.readText(join(hwmon, name, 'name')).catch(() => '');
+        if (sensor === 'rpi_volt') {
+          const alarm = await this.readText(join(hwmon, name, 'in0_lcrit_alarm'));
+          return { available: true, source: 'hwmon', underVoltage: alarm === '1' };
+        }
+      }
+    } catch {
+      // No hwmon
+    }
+
+    return { available: false, reason: 'no firmware throttle flags (not a Raspberry Pi?)' };
+  }
+
+  async getDisk() {
+    try {
+      const stats = await statfs(this.diskPath);
+      const totalBytes = stats.blocks * stats.bsize;
+      const freeBytes = stats.bavail * stats.bsize;
+      return {
+        available: true,
+        path: this.diskPath,
+        totalGB: round(totalBytes / 1e9, 1),
+        freeGB: round(freeBytes / 1e9, 1),
+        usedPercent: totalBytes > 0 ? round(100 * (1 - freeBytes / totalBytes), 1) : 0
+      };
+    } catch (error) {
+      return { available: false, path: this.diskPath, reason: error.message };
+    }
+  }
+
+  // MemAvailable from meminfo (os.freemem() ignores reclaimable cache on
+  // older Node versions) plus PSI stall figures where the kernel has them
+  async getMemory() {
+    const result = { available: true };
+
+    try {
+      const meminfo = parseMeminfo(await readFile(join(this.procRoot, 'meminfo'), 'utf8'));
+      result.totalMB = Math.round(meminfo.MemTotal / 1024);
+      result.availableMB = Math.round((meminfo.MemAvailable ?? meminfo.MemFree) / 1024);
+      result.swapUsedMB = Math.round(((meminfo.SwapTotal || 0) - (meminfo.SwapFree || 0)) / 1024);
+      result.source = 'meminfo';
+    } catch {
+      result.totalMB = Math.round(os.totalmem() / 1024 / 1024);
+      result.availableMB = Math.round(os.freemem() / 1024 / 1024);
+      result.source = 'os';
+    }
+    result.usedPercent = round(100 * (1 - result.availableMB / result.totalMB), 1);
+
+    try {
+      const pressure = parsePressure(await readFile(join(this.procRoot, 'pressure/memory'), 'utf8'));
+      result.pressure = {
+        someAvg10: pressure.some?.avg10 ?? null,
+        fullAvg10: pressure.full?.avg10 ?? null
+      };
+    } catch {
+      result.pressure = null; // Kernel without PSI
+    }
+
+    return result;
+  }
+
+  // Link state from sysfs, addresses from the OS
+  async getNetwork() {
+    const addresses = this.networkInterfaces();
+    const names = new Set(Object.keys(addresses));
+    const netDir = join(this.sysfsRoot, 'class/net');
+    let hasSysfs = true;
+
+    try {
+      for (const name of await readdir(netDir)) {
+        names.add(name);
+      }
+    } catch {
+      hasSysfs = false;
+    }
+
+    const interfaces = [];
+    for (const name of [...names].sort()) {
+      if (name === 'lo') {
+        continue;
+      }
+
+      const ipv4 = (addresses[name] || []).filter((a) => a.family === 'IPv4' && !a.internal).map((a) => a.address);
+      let state = ipv4.length > 0 ? 'up' : 'unknown';
+      if (hasSysfs) {
+        state = await this.readText(join(netDir, name, 'operstate')).catch(() => state);
+      }
+      interfaces.push({ name, state, ipv4 });
+    }
+
+    const primary = interfaces.find((i) => i.state === 'up' && i.ipv4.length > 0);
+    return {
+      available: true,
+      source: hasSysfs ? 'sysfs' : 'os',
+      online: Boolean(primary),
+      ip: primary ? primary.ipv4[0] : null,
+      interfaces
+    };
+  }
+
+  async getDeviceModel() {
+    for (const path of [
+      join(this.procRoot, 'device-tree/model'),
+      join(this.sysfsRoot, 'firmware/devicetree/base/model'),
+      join(this.sysfsRoot, 'class/dmi/id/product_name')
+    ]) {
+      try {
+        // Device tree strings are NUL terminated
+        const model = (await this.readText(path)).replace(/\0/g, '');
+        if (model) {
+          return model;
+        }
+      } catch {
+        // Try the next source
+      }
+    }
+    return `${os.arch()} ${os.type()} machine`;
+  }
+
+  async getOsName() {
+    try {
+      const text = await readFile(this.osReleasePath, 'utf8');
+      const match = text.match(/^PRETTY_NAME="?([^"\n]*)"?/m);
+      if (match) {
+        return match[1];
+      }
+    } catch {
+      // Fall back to the kernel
+    }
+    return `${os.type()} ${os.release()}`;
+  }
+
+  getUptime() {
+    return {
+      processSeconds: Math.round(process.uptime()),
+      systemSeconds: Math.round(os.uptime())
+    };
+  }
+
+  async snapshot() {
+    const [model, osName, cpuTemperature, throttling, disk, memory, network] = await Promise.all([
+      this.getDeviceModel(),
+      this.getOsName(),
+      this.getCpuTemperature(),
+      this.getThrottling(),
+      this.getDisk(),
+      this.getMemory(),
+      this.getNetwork()
+    ]);
+
+    return {
+      model,
+      os: osName,
+      hostname: os.hostname(),
+      cpuTemperature,
+      throttling,
+      disk,
+      memory,
+      network,
+      uptime: this.getUptime(),
+      loadavg: os.loadavg().map((value) => round(value, 2)),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: this.commandTimeoutMs }, (error, stdout) => {
+        if (error) {
+          logger.debug(`${command} unavailable: ${error.message}`);
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
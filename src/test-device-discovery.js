@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  parseDeviceList,
+  parseProcCards,
+  parsePulseDeviceList,
+  findDevice,
+  toAlsaDevice,
+  resolveDevice,
+  resolvePulseDevice
+} from './audio/deviceDiscovery.js';
+
+// Checks the ALSA / PulseAudio device parsers against output captured on a
+// Raspberry Pi 4 (headphone jack, HDMI and a USB microphone), without
+// touching the sound hardware.
+// Usage: npm run test-devices
+
+const ARECORD_L = `**** List of CAPTURE Hardware Devices ****
+card 2: Device [USB PnP Sound Device], device 0: USB Audio [USB Audio]
+  Subdevices: 1/1
+  Subdevice #0: subdevice #0
+`;
+
+const APLAY_L = `**** List of PLAYBACK Hardware Devices ****
+card 0: Headphones [bcm2835 Headphones], device 0: bcm2835 Headphones [bcm2835 Headphones]
+  Subdevices: 8/8
+  Subdevice #0: subdevice #0
+  Subdevice #1: subdevice #1
+card 1: vc4hdmi0 [vc4-hdmi-0], device 0: MAI PCM i2s-hifi-0 [MAI PCM i2s-hifi-0]
+  Subdevices: 1/1
+  Subdevice #0: subdevice #0
+card 2: Device [USB PnP Sound Device], device 0: USB Audio [USB Audio]
+  Subdevices: 1/1
+  Subdevice #0: subdevice #0
+`;
+
+const PROC_ASOUND_CARDS = ` 0 [Headphones     ]: bcm2835_headpho - bcm2835 Headphones
+                      bcm2835 Headphones
+ 1 [vc4hdmi0       ]: vc4-hdmi - vc4-hdmi-0
+                      vc4-hdmi-0
+ 2 [Device         ]: USB-Audio - USB PnP Sound Device
+                      C-Media Electronics Inc. USB PnP Sound Device at usb-0000:01:00.0-1.3, full speed
+`;
+
+const PACTL_SOURCES = [
+  '0\talsa_output.platform-bcm2835_audio.stereo-fallback.monitor\tmodule-alsa-card.c\ts16le 2ch 44100Hz\tSUSPENDED',
+  '1\talsa_output.platform-fef00700.hdmi.hdmi-stereo.monitor\tmodule-alsa-card.c\ts16le 2ch 44100Hz\tSUSPENDED',
+  '2\talsa_input.usb-C-Media_Electronics_Inc._USB_PnP_Sound_Device-00.mono-fallback\tmodule-alsa-card.c\ts16le 1ch 48000Hz\tRUNNING',
+  ''
+].join('\n');
+
+const PACTL_SINKS = [
+  '0\talsa_output.platform-bcm2835_audio.stereo-fallback\tmodule-alsa-card.c\ts16le 2ch 44100Hz\tSUSPENDED',
+  '1\talsa_output.platform-fef00700.hdmi.hdmi-stereo\tPipeWire\ts32le 2ch 48000Hz\tIDLE',
+  ''
+].join('\n');
+
+// Stands in for execFile: answers with the captured output, or fails like a
+// missing binary
+function fakeCommands(outputs) {
+  return async (command, args) => {
+    const key = [command, ...args].join(' ');
+    if (!(key in outputs)) {
+      throw new Error(`spawn ${command} ENOENT`);
+    }
+    return outputs[key];
+  };
+}
+
+const checks = [
+  ['arecord -l', () => {
+    assert.deepEqual(parseDeviceList(ARECORD_L), [{
+      card: 2,
+      cardId: 'Device',
+      cardName: 'USB PnP Sound Device',
+      device: 0,
+      deviceId: 'USB Audio',
+      deviceName: 'USB Audio'
+    }]);
+  }],
+
+  ['aplay -l', () => {
+    const devices = parseDeviceList(APLAY_L);
+    assert.deepEqual(devices.map(({ card, cardId, device }) => [card, cardId, device]), [
+      [0, 'Headphones', 0],
+      [1, 'vc4hdmi0', 0],
+      [2, 'Device', 0]
+    ]);
+    assert.equal(devices[0].deviceName, 'bcm2835 Headphones');
+    assert.equal(devices[1].cardName, 'vc4-hdmi-0');
+    assert.equal(devices[1].deviceId, 'MAI PCM i2s-hifi-0');
+  }],
+
+  ['/proc/asound/cards', () => {
+    assert.deepEqual(parseProcCards(PROC_ASOUND_CARDS).map(({ card, cardId, cardName }) => [card, cardId, cardName]), [
+      [0, 'Headphones', 'bcm2835_headpho - bcm2835 Headphones'],
+      [1, 'vc4hdmi0', 'vc4-hdmi - vc4-hdmi-0'],
+      [2, 'Device', 'USB-Audio - USB PnP Sound Device']
+    ]);
+  }],
+
+  ['name matching', () => {
+    const devices = parseDeviceList(APLAY_L);
+    assert.equal(toAlsaDevice(findDevice(devices, 'usb pnp')), 'plughw:CARD=Device,DEV=0');
+    assert.equal(toAlsaDevice(findDevice(devices, 'HDMI')), 'plughw:CARD=vc4hdmi0,DEV=0');
+    assert.equal(toAlsaDevice(findDevice(devices, 'headphones')), 'plughw:CARD=Headphones,DEV=0');
+    assert.equal(findDevice(devices, 'ReSpeaker'), null);
+  }],
+
+  ['resolveDevice', async () => {
+    const runCommand = fakeCommands({ 'arecord -l': ARECORD_L, 'aplay -l': APLAY_L });
+    assert.equal(await resolveDevice('capture', 'USB', { runCommand }), 'plughw:CARD=Device,DEV=0');
+    assert.equal(await resolveDevice('playback', 'hdmi', { runCommand }), 'plughw:CARD=vc4hdmi0,DEV=0');
+    assert.equal(await resolveDevice('capture', 'plughw:1,0', { runCommand }), 'plughw:1,0');
+    await assert.rejects(resolveDevice('capture', 'ReSpeaker', { runCommand }), /No capture device matching 'ReSpeaker'/);
+  }],
+
+  ['resolveDevice without alsa-utils', async () => {
+    const procRoot = await mkdtemp(join(tmpdir(), 'asound-'));
+    try {
+      await mkdir(join(procRoot, 'asound'));
+      await writeFile(join(procRoot, 'asound', 'cards'), PROC_ASOUND_CARDS);
+      const options = { runCommand: fakeCommands({}), procRoot };
+      assert.equal(await resolveDevice('capture', 'usb-audio', options), 'plughw:CARD=Device,DEV=0');
+    } finally {
+      await rm(procRoot, { recursive: true, force: true });
+    }
+  }],
+
+  ['pactl list short', () => {
+    const sources = parsePulseDeviceList(PACTL_SOURCES);
+    assert.equal(sources.length, 3);
+    assert.deepEqual(sources[2], {
+      index: 2,
+      name: 'alsa_input.usb-C-Media_Electronics_Inc._USB_PnP_Sound_Device-00.mono-fallback',
+      driver: 'module-alsa-card.c',
+      sampleSpec: 's16le 1ch 48000Hz',
+      state: 'RUNNING'
+    });
+    assert.equal(parsePulseDeviceList(PACTL_SINKS)[1].driver, 'PipeWire');
+  }],
+
+  ['resolvePulseDevice', async () => {
+    const runCommand = fakeCommands({
+      'pactl list short sources': PACTL_SOURCES,
+      'pactl list short sinks': PACTL_SINKS
+    });
+    // The monitor sources match 'alsa_' too, but are never the microphone
+    assert.equal(
+      await resolvePulseDevice('capture', 'alsa_', { runCommand }),
+      'alsa_input.usb-C-Media_Electronics_Inc._USB_PnP_Sound_Device-00.mono-fallback'
+    );
+    assert.equal(await resolvePulseDevice('playback', 'hdmi', { runCommand }), 'alsa_output.platform-fef00700.hdmi.hdmi-stereo');
+    assert.equal(await resolvePulseDevice('capture', 'default', { runCommand }), null);
+    await assert.rejects(resolvePulseDevice('capture', 'hdmi', { runCommand }), /No PulseAudio source matching 'hdmi'/);
+  }]
+];
+
+async function main() {
+  let failed = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(failed === 0 ? '\n🎉 All device discovery checks passed' : `\n${failed} check(s) failed`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { config } from './config.js';
+import { MockGpioDriver } from './gpio/mockDriver.js';
+import { GpioPins, loadPinConfig } from './gpio/gpioPins.js';
+import { PushToTalk } from './pushToTalk.js';
+import { PreRollBuffer } from './audio/preRollBuffer.js';
+import { createToolRegistry } from './tools/index.js';
+
+// Drives the mock GPIO driver through push-to-talk button handling
+// (debounce, hold/toggle sessions, release timing) and the safety rules of
+// named outputs (max on-time, min switch interval, pulse limits), without
+// hardware.
+// Usage: npm run test-gpio
+
+const BUTTON_LINE = 17;
+const STRIKE_LINE = 23;
+const RELAY_LINE = 22;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Push-to-talk on the mock driver with short timings; `events` records the
+// callbacks in order
+async function createButton(options = {}) {
+  const driver = new MockGpioDriver();
+  const events = [];
+  const ptt = new PushToTalk(
+    () => events.push('sessionStart'),
+    () => events.push('sessionEnd'),
+    driver
+  );
+  ptt.options = {
+    ...config.pushToTalk,
+    source: 'gpio',
+    mode: 'hold',
+    line: BUTTON_LINE,
+    debounceMs: 30,
+    sessionTimeoutMs: 150,
+    ...options
+  };
+  ptt.setEventHandlers({
+    onTalkStart: () => events.push('talkStart'),
+    onTalkStop: (releasedAt) => events.push({ talkStop: releasedAt })
+  });
+  await ptt.startListening();
+  return { driver, ptt, events };
+}
+
+// Contact bounce: a few fast edges before the line settles on `value`
+async function bounce(driver, value) {
+  for (const level of [value, 1 - value, value, 1 - value, value]) {
+    driver.setInput(BUTTON_LINE, level);
+    await sleep(2);
+  }
+}
+
+// A door strike (max on-time) and a relay (min switch interval) on the mock
+// driver
+async function createOutputs() {
+  const driver = new MockGpioDriver();
+  const gpio = new GpioPins({
+    door_strike: { line: STRIKE_LINE, direction: 'out', maxOnMs: 200 },
+    pump_relay: { line: RELAY_LINE, direction: 'out', minSwitchIntervalMs: 100 }
+  }, driver);
+  await gpio.init();
+  return { driver, gpio };
+}
+
+// The next `count` output writes fail like a driver error would
+function failWrites(driver, count) {
+  const writeOutput = driver.writeOutput.bind(driver);
+  driver.writeOutput = (...args) => (count-- > 0 ? Promise.reject(new Error('EIO')) : writeOutput(...args));
+}
+
+// Output writes on `line` as 0/1, in order
+function writes(driver, line) {
+  return driver.history
+    .filter((entry) => entry.line === line && entry.direction === 'out')
+    .map((entry) => entry.value);
+}
+
+const checks = [
+  ['push-to-talk: a bouncy press counts once', async () => {
+    const { driver, ptt, events } = await createButton();
+    await bounce(driver, 1);
+    assert.deepEqual(events, [], 'reacted before the debounce time');
+    await sleep(50);
+    assert.deepEqual(events, ['talkStart', 'sessionStart']);
+    assert.equal(ptt.isTalking(), true);
+    ptt.stopListening();
+  }],
+
+  ['push-to-talk: glitches shorter than the debounce are ignored', async () => {
+    const { driver, ptt, events } = await createButton();
+    driver.setInput(BUTTON_LINE, 1);
+    await sleep(10);
+    driver.setInput(BUTTON_LINE, 0);
+    await sleep(60);
+    assert.deepEqual(events, []);
+    ptt.stopListening();
+  }],
+
+  ['push-to-talk: release is dated to the edge, not the debounce', async () => {
+    const { driver, ptt, events } = await createButton();
+    await bounce(driver, 1);
+    await sleep(50);
+
+    driver.setInput(BUTTON_LINE, 0);
+    const releasedAt = Date.now();
+    await sleep(50);
+
+    const stop = events.find((event) => event.talkStop);
+    assert.ok(stop, 'no release reported');
+    assert.ok(Math.abs(stop.talkStop - releasedAt) < 10, `release dated ${stop.talkStop - releasedAt}ms after the edge`);
+    assert.equal(ptt.isTalking(), false);
+    ptt.stopListening();
+  }],
+
+  ['push-to-talk: hold mode keeps the session across presses, then times out', async () => {
+    const { driver, ptt, events } = await createButton();
+    driver.setInput(BUTTON_LINE, 1);
+    await sleep(50);
+    driver.setInput(BUTTON_LINE, 0);
+    await sleep(80);
+    driver.setInput(BUTTON_LINE, 1); // Within the session timeout
+    await sleep(50);
+    driver.setInput(BUTTON_LINE, 0);
+    await sleep(220);
+
+    assert.deepEqual(events.map((event) => (typeof event === 'string' ? event : 'talkStop')), [
+      'talkStart', 'sessionStart', 'talkStop', 'talkStart', 'talkStop', 'sessionEnd'
+    ]);
+    ptt.stopListening();
+  }],
+
+  ['push-to-talk: toggle mode starts and ends on presses', async () => {
+    const { driver, ptt, events } = await createButton({ mode: 'toggle' });
+    for (let press = 0; press < 2; press++) {
+      driver.setInput(BUTTON_LINE, 1);
+      await sleep(50);
+      driver.setInput(BUTTON_LINE, 0);
+      await sleep(50);
+    }
+
+    assert.deepEqual(events.map((event) => (typeof event === 'string' ? event : 'talkStop')), [
+      'talkStart', 'sessionStart', 'talkStop', 'sessionEnd'
+    ]);
+    ptt.stopListening();
+  }],
+
+  ['push-to-talk: a tap before connecting keeps only audio up to the release', async () => {
+    const preRoll = new PreRollBuffer(3000, 16000, 1);
+    const chunk = () => Buffer.alloc(preRoll.bytesPerMs * 20, 1); // 20 ms of capture
+    const { driver, ptt, events } = await createButton();
+
+    driver.setInput(BUTTON_LINE, 1);
+    for (let i = 0; i < 5; i++) {
+      preRoll.push(chunk());
+      await sleep(20);
+    }
+    driver.setInput(BUTTON_LINE, 0);
+    const heldMs = preRoll.getDurationMs();
+    // Capture keeps running through the debounce and the connection
+    for (let i = 0; i < 5; i++) {
+      await sleep(20);
+      preRoll.push(chunk());
+    }
+
+    const stop = events.find((event) => event.talkStop);
+    preRoll.cutAfter(stop.talkStop);
+    preRoll.pause();
+    preRoll.push(chunk());
+
+    assert.ok(preRoll.getDurationMs() <= heldMs + 20, `${preRoll.getDurationMs()}ms kept, held for ${heldMs}ms`);
+    ptt.stopListening();
+  }],
+
+  ['outputs: max on-time counts from the first switch on', async () => {
+    const { driver, gpio } = await createOutputs();
+    const first = await gpio.setOutput('door_strike', 1);
+    assert.equal(first.autoOffMs, 200);
+
+    await sleep(120);
+    const again = await gpio.setOutput('door_strike', 1);
+    assert.ok(again.autoOffMs <= 80, `switching on again re-armed the timer (${again.autoOffMs}ms)`);
+
+    await sleep(100);
+    assert.equal(driver.values.get(STRIKE_LINE), 0, 'still on after its max on-time');
+    assert.deepEqual(writes(driver, STRIKE_LINE), [0, 1, 0]);
+    await gpio.close();
+  }],
+
+  ['outputs: pulses end on time and may not exceed the max on-time', async () => {
+    const { driver, gpio } = await createOutputs();
+    await assert.rejects(gpio.pulseOutput('door_strike', 500), /at most 200ms/);
+    assert.deepEqual(writes(driver, STRIKE_LINE), [0], 'a refused pulse switched the output');
+
+    const pulse = await gpio.pulseOutput('door_strike', 50);
+    assert.equal(pulse.autoOffMs, 50);
+    await sleep(80);
+    assert.deepEqual(writes(driver, STRIKE_LINE), [0, 1, 0]);
+
+    // A pulse on an output that is already on can't outlast the max on-time
+    await gpio.setOutput('door_strike', 1);
+    await sleep(120);
+    const late = await gpio.pulseOutput('door_strike', 150);
+    assert.ok(late.autoOffMs <= 80, `pulse extended the max on-time (${late.autoOffMs}ms)`);
+    await gpio.close();
+  }],
+
+  ['outputs: min switch interval refuses fast changes', async () => {
+    const { driver, gpio } = await createOutputs();
+    await gpio.setOutput('pump_relay', 1); // First change after setup is allowed
+    await assert.rejects(gpio.setOutput('pump_relay', 0), /was switched \d+ms ago/);
+    await gpio.setOutput('pump_relay', 1); // Same state is not a switch
+
+    await sleep(110);
+    await gpio.setOutput('pump_relay', 0);
+    assert.deepEqual(writes(driver, RELAY_LINE), [0, 1, 0]);
+    await gpio.close();
+  }],
+
+  ['outputs: a failed auto-off is retried', async () => {
+    const { driver, gpio } = await createOutputs();
+    await gpio.pulseOutput('door_strike', 50);
+    failWrites(driver, 1);
+    await sleep(80);
+    assert.equal(driver.values.get(STRIKE_LINE), 1);
+    assert.equal(gpio.getStatus().door_strike.autoOff, true, 'gave up after one failed write');
+
+    await sleep(1050);
+    assert.equal(driver.values.get(STRIKE_LINE), 0, 'still on after the retry');
+    assert.equal(gpio.getStatus().door_strike.autoOff, false);
+    await gpio.close();
+  }],
+
+  ['outputs: a failed off keeps the max on-time deadline', async () => {
+    const { driver, gpio } = await createOutputs();
+    await gpio.setOutput('door_strike', 1);
+    failWrites(driver, 1);
+    await assert.rejects(gpio.setOutput('door_strike', 0), /EIO/);
+
+    await sleep(230);
+    assert.equal(driver.values.get(STRIKE_LINE), 0, 'still on after its max on-time');
+    assert.deepEqual(writes(driver, STRIKE_LINE), [0, 1, 0]);
+    await gpio.close();
+  }],
+
+  ['outputs: close restores initial values', async () => {
+    const { driver, gpio } = await createOutputs();
+    await gpio.setOutput('door_strike', 1);
+    await gpio.close();
+    assert.equal(driver.values.get(STRIKE_LINE), 0);
+    assert.equal(gpio.getStatus().door_strike.autoOff, false);
+  }],
+
+  ['outputs: initial on with a max on-time is refused', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'gpio-pins-'));
+    try {
+      const path = join(dir, 'gpio-pins.json');
+      await writeFile(path, JSON.stringify({ buzzer: { line: 5, direction: 'out', initial: 1, maxOnMs: 1000 } }));
+      await assert.rejects(loadPinConfig(path), /initial 1 can't be combined with maxOnMs/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  }],
+
+  ['outputs: tools report rule violations as rejected', async () => {
+    const { gpio } = await createOutputs();
+    const tools = await createToolRegistry({ gpio });
+
+    const refused = await tools.execute('pulse_output', { pin: 'door_strike', duration_ms: 1000 });
+    assert.equal(refused.isError, true);
+    assert.equal(JSON.parse(refused.result).error.code, 'rejected');
+
+    const on = await tools.execute('set_output', { pin: 'door_strike', state: 'on' });
+    assert.deepEqual(JSON.parse(on.result), { pin: 'door_strike', state: 'on', auto_off_in_seconds: 1 });
+
+    const read = await tools.execute('read_input', { pin: 'door_strike' });
+    assert.deepEqual(JSON.parse(read.result), { pin: 'door_strike', state: 'on' });
+    await gpio.close();
+  }]
+];
+
+async function main() {
+  let failed = 0;
+
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(failed === 0 ? '\n🎉 All GPIO checks passed' : `\n${failed} check(s) failed`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
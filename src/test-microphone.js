@@ -4,6 +4,7 @@ import recorder from 'node-record-lpcm16';
 import { writeFileSync } from 'fs';
 import { config } from './config.js';
 import { logger } from './utils/logger.js';
+import { resolveDevice } from './audio/deviceDiscovery.js';
 
 class MicrophoneTest {
   constructor() {
@@ -16,7 +17,7 @@ class MicrophoneTest {
       channels: config.audio.channels,
       threshold: 0.5,
       silence: '1.0s',
-      device: 'plughw:1,0', // ATR USB microphone
+      device: null, // Resolved from config.audio.deviceName
       recordProgram: 'arecord',
       verbose: true
     };
@@ -24,6 +25,15 @@ class MicrophoneTest {
 
   async testMicrophone() {
     console.log('🎤 Testing ATR2100-USB Microphone...');
+
+    try {
+      this.recordingOptions.device = await resolveDevice('capture', config.audio.deviceName);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      this.printTroubleshooting();
+      return;
+    }
+
     console.log('Configuration:', {
       device: this.recordingOptions.device,
       sampleRate: this.recordingOptions.sampleRate,
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+import { config } from './config.js';
+import { MqttBridge } from './mqtt/mqttBridge.js';
+import { loadMqttConfig, createActionTools } from './mqtt/mqttActions.js';
+
+// Connects to the broker in MQTT_URL, publishes a test event, and shows the
+// state topics the agent would pass to conversations plus the publish
+// actions it would offer as tools. Watch the traffic with e.g.
+//   mosquitto_sub -h localhost -t 'elevenlabs-agent/#' -v
+// Usage: npm run test-mqtt
+
+const WAIT_MS = 3000;
+
+async function main() {
+  if (!config.mqtt.url) {
+    console.log('Set MQTT_URL (e.g. mqtt://localhost:1883) to test the MQTT bridge');
+    return;
+  }
+
+  const { actions, state } = await loadMqttConfig();
+  const bridge = new MqttBridge(state);
+  bridge.connect();
+
+  // Retained state arrives right after subscribing
+  await new Promise((resolve) => setTimeout(resolve, WAIT_MS));
+
+  if (!bridge.connected) {
+    console.error(`❌ Could not connect to ${config.mqtt.url}`);
+    await bridge.close();
+    process.exit(1);
+  }
+
+  bridge.publishEvent('test', { message: 'MQTT bridge test' });
+  console.log(`✅ Connected; published ${bridge.topic('events/test')}`);
+
+  console.log(`\n📥 State topics (${Object.keys(state).length}):`);
+  const variables = bridge.getDynamicVariables();
+  for (const [name, { topic, field }] of Object.entries(state)) {
+    const value = name in variables ? JSON.stringify(variables[name]) : '(no retained value)';
+    console.log(`    ${name} ← ${topic}${field ? ` [${field}]` : ''} = ${value}`);
+  }
+
+  console.log(`\n📤 Publish actions (${Object.keys(actions).length}):`);
+  for (const tool of createActionTools(actions)) {
+    const params = Object.keys(tool.parameters.properties);
+    console.log(`    ${tool.name}(${params.join(', ')}) → ${actions[tool.name].topic}`);
+  }
+
+  await bridge.close();
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
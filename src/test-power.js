@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { config } from './config.js';
+import { Telemetry } from './telemetry/telemetry.js';
+import { MockBatteryGauge } from './power/mockGauge.js';
+import { PowerMonitor } from './power/powerMonitor.js';
+import { createToolRegistry } from './tools/index.js';
+
+// Drives the power monitor with the mock battery gauge and a fake firmware
+// throttle node: supply warnings, low-battery hysteresis, the critical
+// battery that triggers the shutdown and its recovery.
+// Usage: npm run test-power
+
+const OPTIONS = {
+  ...config.power,
+  lowBatteryPercent: 20,
+  criticalBatteryPercent: 8,
+  hysteresisPercent: 5,
+  criticalReadings: 2
+};
+
+// Monitor over a fake sysfs tree; `events` records what it reports
+function createMonitor(sysfsRoot, throttledPath) {
+  const gauge = new MockBatteryGauge();
+  const monitor = new PowerMonitor(gauge, new Telemetry({ ...config.telemetry, sysfsRoot }), OPTIONS);
+  const events = [];
+  monitor.setEventHandlers({
+    onWarning: (message) => events.push(['warning', message]),
+    onCritical: (status) => events.push(['critical', status.battery.percent]),
+    onRecovered: (status) => events.push(['recovered', status.battery.percent])
+  });
+  return { gauge, monitor, events, throttledPath };
+}
+
+// Sets the battery (and optionally the throttle flags), then polls once
+async function reading({ gauge, monitor, throttledPath }, state, throttled = null) {
+  if (throttled !== null) {
+    await writeFile(throttledPath, `${throttled.toString(16)}\n`);
+  }
+  gauge.setState(state);
+  await monitor.poll();
+}
+
+const checks = [
+  ['supply under-voltage is warned once and clears', async (setup) => {
+    const { monitor, events } = setup;
+    await reading(setup, {}, 0x50005);
+    await reading(setup, {}, 0x50005);
+    assert.equal(events.filter(([type]) => type === 'warning').length, 2); // under-voltage + throttled
+    assert.match(events[0][1], /under-voltage/);
+
+    await reading(setup, {}, 0x50000); // Only the "occurred" bits left
+    assert.deepEqual(monitor.getActiveWarnings(), []);
+  }],
+
+  ['low battery warns with hysteresis', async (setup) => {
+    const { monitor, events } = setup;
+    await reading(setup, { percent: 25 });
+    assert.deepEqual(events, []);
+    await reading(setup, { percent: 18 });
+    assert.deepEqual(events, [['warning', 'Battery is low: 18%. Connect power soon.']]);
+    await reading(setup, { percent: 22, charging: true }); // Still within the hysteresis
+    assert.equal(monitor.getActiveWarnings().length, 1);
+    await reading(setup, { percent: 26 });
+    assert.deepEqual(monitor.getActiveWarnings(), []);
+  }],
+
+  ['one critical reading does not shut down', async (setup) => {
+    const { events } = setup;
+    await reading(setup, { percent: 7, externalPower: false });
+    await reading(setup, { percent: 9 });
+    await reading(setup, { percent: 7 });
+    assert.deepEqual(events.filter(([type]) => type === 'critical'), []);
+  }],
+
+  ['consecutive critical readings shut down once', async (setup) => {
+    const { monitor, events } = setup;
+    await reading(setup, { percent: 7, externalPower: false });
+    await reading(setup, { percent: 6 });
+    await reading(setup, { percent: 6 });
+    assert.deepEqual(events.filter(([type]) => type === 'critical'), [['critical', 6]]);
+    assert.equal(monitor.getStatus().criticalBattery, true);
+  }],
+
+  ['a charging battery or external power is never critical', async (setup) => {
+    const { events } = setup;
+    for (const state of [{ percent: 5, charging: true }, { percent: 5, charging: false, externalPower: true }]) {
+      await reading(setup, state);
+      await reading(setup, state);
+    }
+    assert.deepEqual(events.filter(([type]) => type === 'critical'), []);
+  }],
+
+  ['power coming back cancels the critical state', async (setup) => {
+    const { monitor, events } = setup;
+    await reading(setup, { percent: 7, externalPower: false });
+    await reading(setup, { percent: 7 });
+    await reading(setup, { percent: 7, externalPower: true }); // Brown-out over
+    assert.deepEqual(events.filter(([type]) => type !== 'warning'), [['critical', 7], ['recovered', 7]]);
+    assert.equal(monitor.getStatus().criticalBattery, false);
+
+    // ...and a later outage can raise it again
+    await reading(setup, { percent: 6, externalPower: false });
+    await reading(setup, { percent: 6 });
+    assert.deepEqual(events.filter(([type]) => type === 'critical').length, 2);
+  }],
+
+  ['get_power_status reports the readings', async (setup) => {
+    const { monitor } = setup;
+    await reading(setup, { percent: 18, voltage: 3.6, charging: false, externalPower: false }, 0x1);
+    const tools = await createToolRegistry({ power: monitor });
+    const { result, isError } = await tools.execute('get_power_status', {});
+
+    assert.equal(isError, false);
+    const status = JSON.parse(result);
+    assert.deepEqual(status.battery, { percent: 18, voltage: 3.6, charging: false, external_power: false });
+    assert.equal(status.supply.under_voltage, true);
+    assert.equal(status.warnings.length, 3); // under-voltage, on battery, low
+  }]
+];
+
+async function main() {
+  let failed = 0;
+
+  for (const [name, check] of checks) {
+    const sysfsRoot = await mkdtemp(join(tmpdir(), 'power-sysfs-'));
+    try {
+      const firmware = join(sysfsRoot, 'devices/platform/soc/soc:firmware');
+      await mkdir(firmware, { recursive: true });
+      await writeFile(join(firmware, 'get_throttled'), '0\n');
+
+      await check(createMonitor(sysfsRoot, join(firmware, 'get_throttled')));
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    } finally {
+      await rm(sysfsRoot, { recursive: true, force: true });
+    }
+  }
+
+  console.log(failed === 0 ? '\n🎉 All power checks passed' : `\n${failed} check(s) failed`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
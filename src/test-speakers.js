@@ -4,10 +4,16 @@ import { spawn } from 'child_process';
 import { writeFileSync, unlinkSync } from 'fs';
 import { config } from './config.js';
 import { logger } from './utils/logger.js';
+import { resolveDevice } from './audio/deviceDiscovery.js';
 
 class SpeakerTest {
   constructor() {
-    this.playbackDevice = 'plughw:0,0'; // bcm2835 Headphones for Marshall amp
+    this.playbackDevice = null; // Resolved from config.audio.playbackDeviceName
+    this.playbackOptions = [];
+  }
+
+  async resolvePlaybackDevice() {
+    this.playbackDevice = await resolveDevice('playback', config.audio.playbackDeviceName);
     this.playbackOptions = [
       '-D', this.playbackDevice,
       '-f', 'S16_LE',
@@ -18,6 +24,15 @@ class SpeakerTest {
 
   async testSpeakers() {
     console.log('🔊 Testing Speaker Output to Marshall Amp...');
+
+    try {
+      await this.resolvePlaybackDevice();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      this.printTroubleshooting();
+      return;
+    }
+
     console.log('Configuration:', {
       device: this.playbackDevice,
       sampleRate: config.audio.sampleRate,
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { config } from './config.js';
+import { Telemetry } from './telemetry/telemetry.js';
+
+// Checks the telemetry readers against a fake sysfs/procfs tree laid out like
+// a Raspberry Pi 4's, and their fallbacks against an empty one, then prints
+// what this machine reports.
+// Usage: npm run test-telemetry
+
+const PI_TREE = {
+  'sys/class/thermal/thermal_zone0/type': 'battery\n',
+  'sys/class/thermal/thermal_zone0/temp': '31000\n',
+  'sys/class/thermal/thermal_zone1/type': 'cpu-thermal\n',
+  'sys/class/thermal/thermal_zone1/temp': '48312\n',
+  'sys/devices/platform/soc/soc:firmware/get_throttled': '50005\n',
+  'sys/class/net/lo/operstate': 'unknown\n',
+  'sys/class/net/eth0/operstate': 'up\n',
+  'sys/class/net/wlan0/operstate': 'down\n',
+  'proc/meminfo': [
+    'MemTotal:        3884096 kB',
+    'MemFree:         1202312 kB',
+    'MemAvailable:    2949120 kB',
+    'SwapTotal:        102396 kB',
+    'SwapFree:          51196 kB',
+    ''
+  ].join('\n'),
+  'proc/pressure/memory': [
+    'some avg10=1.50 avg60=0.80 avg300=0.20 total=12345',
+    'full avg10=0.25 avg60=0.10 avg300=0.00 total=2345',
+    ''
+  ].join('\n')
+};
+
+// What os.networkInterfaces() reports for the Pi above
+const PI_ADDRESSES = {
+  lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+  eth0: [
+    { address: '192.168.1.20', family: 'IPv4', internal: false },
+    { address: 'fe80::1', family: 'IPv6', internal: false }
+  ]
+};
+
+// Telemetry over `files` (path → content) written below `root`; vcgencmd is
+// never found so only the tree is read
+async function createTelemetry(root, files, addresses) {
+  for (const [path, content] of Object.entries(files)) {
+    await mkdir(dirname(join(root, path)), { recursive: true });
+    await writeFile(join(root, path), content);
+  }
+  await mkdir(join(root, 'sys'), { recursive: true });
+  await mkdir(join(root, 'proc'), { recursive: true });
+
+  const telemetry = new Telemetry({
+    ...config.telemetry,
+    sysfsRoot: join(root, 'sys'),
+    procRoot: join(root, 'proc'),
+    networkInterfaces: () => addresses
+  });
+  telemetry.runCommand = (command) => Promise.reject(new Error(`spawn ${command} ENOENT`));
+  return telemetry;
+}
+
+const checks = [
+  ['CPU temperature prefers the CPU zone', async (root) => {
+    const telemetry = await createTelemetry(root, PI_TREE, PI_ADDRESSES);
+    assert.deepEqual(await telemetry.getCpuTemperature(), {
+      available: true,
+      celsius: 48.312,
+      sensor: 'cpu-thermal',
+      source: 'sysfs'
+    });
+  }],
+
+  ['throttle flags from the firmware node', async (root) => {
+    const telemetry = await createTelemetry(root, PI_TREE, PI_ADDRESSES);
+    const throttling = await telemetry.getThrottling();
+    assert.equal(throttling.source, 'sysfs');
+    assert.equal(throttling.raw, '0x50005');
+    assert.equal(throttling.underVoltage, true);
+    assert.equal(throttling.throttled, true);
+    assert.equal(throttling.frequencyCapped, false);
+    assert.equal(throttling.underVoltageOccurred, true);
+    assert.equal(throttling.softTempLimitOccurred, false);
+  }],
+
+  ['throttling falls back to the rpi_volt sensor', async (root) => {
+    const telemetry = await createTelemetry(root, {
+      'sys/class/hwmon/hwmon0/name': 'cpu_thermal\n',
+      'sys/class/hwmon/hwmon1/name': 'rpi_volt\n',
+      'sys/class/hwmon/hwmon1/in0_lcrit_alarm': '1\n'
+    }, {});
+    assert.deepEqual(await telemetry.getThrottling(), { available: true, source: 'hwmon', underVoltage: true });
+  }],
+
+  ['memory from meminfo with pressure', async (root) => {
+    const telemetry = await createTelemetry(root, PI_TREE, PI_ADDRESSES);
+    assert.deepEqual(await telemetry.getMemory(), {
+      available: true,
+      totalMB: 3793,
+      availableMB: 2880,
+      swapUsedMB: 50,
+      source: 'meminfo',
+      usedPercent: 24.1,
+      pressure: { someAvg10: 1.5, fullAvg10: 0.25 }
+    });
+  }],
+
+  ['network state from sysfs, addresses from the OS', async (root) => {
+    const telemetry = await createTelemetry(root, PI_TREE, PI_ADDRESSES);
+    assert.deepEqual(await telemetry.getNetwork(), {
+      available: true,
+      source: 'sysfs',
+      online: true,
+      ip: '192.168.1.20',
+      interfaces: [
+        { name: 'eth0', state: 'up', ipv4: ['192.168.1.20'] },
+        { name: 'wlan0', state: 'down', ipv4: [] }
+      ]
+    });
+  }],
+
+  ['an empty tree reports unavailable or falls back', async (root) => {
+    const telemetry = await createTelemetry(root, {}, PI_ADDRESSES);
+
+    const temperature = await telemetry.getCpuTemperature();
+    assert.equal(temperature.available, false);
+    assert.match(temperature.reason, /ENOENT/);
+    assert.deepEqual(await telemetry.getThrottling(), {
+      available: false,
+      reason: 'no firmware throttle flags (not a Raspberry Pi?)'
+    });
+
+    const memory = await telemetry.getMemory();
+    assert.equal(memory.source, 'os');
+    assert.equal(memory.pressure, null);
+
+    assert.deepEqual(await telemetry.getNetwork(), {
+      available: true,
+      source: 'os',
+      online: true,
+      ip: '192.168.1.20',
+      interfaces: [{ name: 'eth0', state: 'up', ipv4: ['192.168.1.20'] }]
+    });
+  }],
+
+  ['offline when no interface has an address', async (root) => {
+    const telemetry = await createTelemetry(root, PI_TREE, {});
+    const network = await telemetry.getNetwork();
+    assert.equal(network.online, false);
+    assert.equal(network.ip, null);
+  }]
+];
+
+// This machine's readings, for a look at the real sources
+async function printSnapshot() {
+  const snapshot = await new Telemetry().snapshot();
+
+  console.log(`\n🖥️  ${snapshot.model} - ${snapshot.os} (${snapshot.hostname})`);
+
+  const { cpuTemperature, throttling, disk, memory, network } = snapshot;
+  console.log(cpuTemperature.available
+    ? `🌡️  CPU ${cpuTemperature.celsius.toFixed(1)}°C (${cpuTemperature.sensor})`
+    : `🌡️  CPU temperature unavailable: ${cpuTemperature.reason}`);
+  console.log(throttling.available
+    ? `⚡ Throttling (${throttling.source}): ${JSON.stringify(throttling)}`
+    : `⚡ Throttling unavailable: ${throttling.reason}`);
+  console.log(disk.available
+    ? `💾 Disk ${disk.path}: ${disk.freeGB}GB free of ${disk.totalGB}GB`
+    : `💾 Disk unavailable: ${disk.reason}`);
+  console.log(`🧠 Memory (${memory.source}): ${memory.availableMB}MB available of ${memory.totalMB}MB` +
+    (memory.pressure ? `, pressure avg10 ${memory.pressure.someAvg10}%` : ', no PSI'));
+  console.log(`🌐 Network (${network.source}): ${network.online ? `online at ${network.ip}` : 'offline'}`);
+  for (const iface of network.interfaces) {
+    console.log(`    ${iface.name}: ${iface.state} ${iface.ipv4.join(', ')}`);
+  }
+  console.log(`⏱️  Agent up ${snapshot.uptime.processSeconds}s, system up ${snapshot.uptime.systemSeconds}s`);
+}
+
+async function main() {
+  let failed = 0;
+
+  for (const [name, check] of checks) {
+    const root = await mkdtemp(join(tmpdir(), 'telemetry-'));
+    try {
+      await check(root);
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  }
+
+  console.log(failed === 0 ? '\n🎉 All telemetry checks passed' : `\n${failed} check(s) failed`);
+  process.exitCode = failed === 0 ? 0 : 1;
+
+  await printSnapshot();
+}
+
+main();
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+import { readFileSync } from 'fs';
+import { config } from './config.js';
+import { parseWav } from './audio/wav.js';
+import { FrameVad } from './audio/frameVad.js';
+
+// Runs the frame VAD over a WAV recording and prints the detected speech
+// segments, for tuning thresholds against real room noise.
+// Usage: npm run test-vad -- recording.wav
+
+class VadTest {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.chunkMs = 100;
+  }
+
+  run() {
+    if (!this.filePath) {
+      console.log('Usage: npm run test-vad -- <recording.wav>');
+      console.log('Record one with: arecord -f S16_LE -c 1 -r 16000 -d 10 recording.wav');
+      return;
+    }
+
+    const wav = parseWav(readFileSync(this.filePath));
+    const vad = new FrameVad({
+      ...config.voiceActivation,
+      sampleRate: wav.sampleRate,
+      channels: wav.channels
+    });
+
+    console.log(`🎙️  Analyzing ${this.filePath} (${wav.sampleRate} Hz, ${wav.channels} channel(s))`);
+
+    const frameBytes = wav.channels * 2;
+    const chunkBytes = Math.round((wav.sampleRate * this.chunkMs) / 1000) * frameBytes;
+    const segments = [];
+    let segmentStart = null;
+    let speechChunks = 0;
+    let chunks = 0;
+
+    for (let offset = 0; offset < wav.data.length; offset += chunkBytes) {
+      const chunk = wav.data.subarray(offset, Math.min(offset + chunkBytes, wav.data.length));
+      const result = vad.process(chunk);
+      if (!result) {
+        continue;
+      }
+
+      const timeMs = Math.round((offset / frameBytes / wav.sampleRate) * 1000);
+      chunks++;
+
+      if (config.debug.enabled) {
+        console.log(
+          `${(timeMs / 1000).toFixed(1)}s rms=${Math.round(result.rms)} ` +
+          `zcr=${vad.lastFrame.zcr.toFixed(2)} band=${vad.lastFrame.bandRatio.toFixed(2)} ` +
+          `p=${result.probability.toFixed(2)}${result.isSpeech ? ' SPEECH' : ''}`
+        );
+      }
+
+      if (result.isSpeech) {
+        speechChunks++;
+        if (segmentStart === null) {
+          segmentStart = timeMs;
+        }
+      } else if (segmentStart !== null) {
+        segments.push([segmentStart, timeMs]);
+        segmentStart = null;
+      }
+    }
+
+    if (segmentStart !== null) {
+      segments.push([segmentStart, Math.round((wav.data.length / frameBytes / wav.sampleRate) * 1000)]);
+    }
+
+    console.log(`\n📊 Noise floor: ${Math.round(vad.noiseFloor.noiseFloor)}, start threshold: ${Math.round(vad.noiseFloor.getStartThreshold())}`);
+    console.log(`🗣️  Speech in ${speechChunks}/${chunks} chunks, ${segments.length} segment(s):`);
+    for (const [start, end] of segments) {
+      console.log(`   ${(start / 1000).toFixed(1)}s – ${(end / 1000).toFixed(1)}s`);
+    }
+  }
+}
+
+// Run test
+const test = new VadTest(process.argv[2]);
+test.run();
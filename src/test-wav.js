@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseWav, createWavHeader, WavFileWriter } from './audio/wav.js';
+import { FileBackend } from './audio/backends/fileBackend.js';
+
+// Round-trips WAV files through wav.js and the file audio backend: header
+// parsing (other sample rates, stereo, extra chunks before `data`), capture
+// conversion to the pipeline format and playback recording.
+// Usage: npm run test-wav
+
+function tone(frames, sampleRate, channels, frequency = 440) {
+  const pcm = Buffer.alloc(frames * channels * 2);
+  for (let i = 0; i < frames; i++) {
+    const sample = Math.round(8000 * Math.sin((2 * Math.PI * frequency * i) / sampleRate));
+    for (let c = 0; c < channels; c++) {
+      pcm.writeInt16LE(sample, (i * channels + c) * 2);
+    }
+  }
+  return pcm;
+}
+
+// A WAV as editors save it: a LIST/INFO chunk (odd size, so padded) between
+// fmt and data
+function wavWithListChunk(pcm, sampleRate, channels) {
+  const header = createWavHeader(pcm.length, sampleRate, channels);
+  const info = Buffer.from('INFOISFT\x07\x00\x00\x00Lavf58\x00', 'latin1');
+  const list = Buffer.alloc(8 + info.length + (info.length % 2));
+  list.write('LIST', 0, 'ascii');
+  list.writeUInt32LE(info.length, 4);
+  info.copy(list, 8);
+
+  const file = Buffer.concat([header.subarray(0, 36), list, header.subarray(36), pcm]);
+  file.writeUInt32LE(file.length - 8, 4);
+  return file;
+}
+
+// Everything a capture handle emits within durationMs
+function collectCapture(handle, durationMs) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    handle.stream.on('data', (chunk) => chunks.push(chunk));
+    setTimeout(() => {
+      handle.stop();
+      resolve(Buffer.concat(chunks));
+    }, durationMs);
+  });
+}
+
+// Frames up to the last non-silent one (capture pads the end with silence)
+function audibleFrames(pcm, channels) {
+  for (let i = pcm.length - 2; i >= 0; i -= 2) {
+    if (pcm.readInt16LE(i) !== 0) {
+      return Math.floor(i / (channels * 2)) + 1;
+    }
+  }
+  return 0;
+}
+
+const checks = [
+  ['WavFileWriter round trip (44.1 kHz stereo)', async (dir) => {
+    const path = join(dir, 'stereo.wav');
+    const pcm = tone(4410, 44100, 2);
+    const writer = new WavFileWriter(path, 44100, 2);
+    writer.write(pcm.subarray(0, 7000));
+    writer.write(pcm.subarray(7000));
+    writer.close();
+
+    const wav = parseWav(await readFile(path));
+    assert.equal(wav.sampleRate, 44100);
+    assert.equal(wav.channels, 2);
+    assert.equal(wav.bitsPerSample, 16);
+    assert.equal(wav.data.length / 4, 4410);
+    assert.ok(wav.data.equals(pcm));
+  }],
+
+  ['LIST chunk before data (22.05 kHz mono)', async () => {
+    const pcm = tone(2205, 22050, 1);
+    const wav = parseWav(wavWithListChunk(pcm, 22050, 1));
+    assert.equal(wav.sampleRate, 22050);
+    assert.equal(wav.channels, 1);
+    assert.ok(wav.data.equals(pcm));
+  }],
+
+  ['unsupported files', async () => {
+    const eightBit = createWavHeader(0, 8000, 1);
+    eightBit.writeUInt16LE(8, 34);
+    assert.throws(() => parseWav(eightBit), /16-bit PCM required/);
+    assert.throws(() => parseWav(createWavHeader(0, 16000, 1).subarray(0, 36)), /no data chunk/);
+    assert.throws(() => parseWav(Buffer.from('ID3\x04 not a wav file')), /Not a RIFF\/WAVE file/);
+  }],
+
+  ['file capture at the pipeline format (16 kHz mono in)', async (dir) => {
+    const path = join(dir, 'mono16k.wav');
+    const pcm = tone(4000, 16000, 1);
+    await writeFile(path, Buffer.concat([createWavHeader(pcm.length, 16000, 1), pcm]));
+
+    const backend = new FileBackend({ input: path, loop: false });
+    const device = await backend.resolveDevice('capture');
+    const captured = await collectCapture(backend.openCapture({ device, sampleRate: 16000, channels: 1 }), 450);
+
+    assert.ok(captured.length >= pcm.length, `only ${captured.length} bytes captured`);
+    assert.ok(captured.subarray(0, pcm.length).equals(pcm));
+  }],
+
+  ['file capture converts 44.1 kHz stereo with LIST chunk', async (dir) => {
+    const path = join(dir, 'stereo-list.wav');
+    await writeFile(path, wavWithListChunk(tone(8820, 44100, 2), 44100, 2)); // 200 ms
+
+    const backend = new FileBackend({ input: path, loop: false });
+    const captured = await collectCapture(backend.openCapture({ device: path, sampleRate: 16000, channels: 1 }), 450);
+
+    // 200 ms at 16 kHz, give or take the resampling filter's edges
+    const frames = audibleFrames(captured, 1);
+    assert.ok(Math.abs(frames - 3200) <= 40, `${frames} frames of audio, expected about 3200`);
+  }],
+
+  ['file playback records agent audio', async (dir) => {
+    const path = join(dir, 'agent.wav');
+    const backend = new FileBackend({ output: path });
+    const device = await backend.resolveDevice('playback');
+
+    const first = backend.openPlayback({ device, sampleRate: 24000, channels: 1 });
+    first.stream.write(tone(2400, 24000, 1));
+    first.stream.write(tone(1200, 24000, 1));
+    // A new format starts a second file
+    const second = backend.openPlayback({ device, sampleRate: 16000, channels: 2 });
+    second.stream.write(tone(1600, 16000, 2));
+    await new Promise((resolve) => setImmediate(resolve));
+    backend.close();
+
+    const wav = parseWav(await readFile(path));
+    assert.deepEqual([wav.sampleRate, wav.channels, wav.data.length / 2], [24000, 1, 3600]);
+    const wav2 = parseWav(await readFile(join(dir, 'agent-2.wav')));
+    assert.deepEqual([wav2.sampleRate, wav2.channels, wav2.data.length / 4], [16000, 2, 1600]);
+  }]
+];
+
+async function main() {
+  const dir = await mkdtemp(join(tmpdir(), 'wav-check-'));
+  let failed = 0;
+
+  try {
+    for (const [name, check] of checks) {
+      try {
+        await check(dir);
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failed++;
+        console.log(`❌ ${name}: ${error.message}`);
+      }
+    }
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log(failed === 0 ? '\n🎉 All WAV checks passed' : `\n${failed} check(s) failed`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();
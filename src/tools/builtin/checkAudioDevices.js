@@ -0,0 +1,17 @@
+export const name = 'check_audio_devices';
+
+export const description = 'Reports the configured microphone and the audio format it is captured in.';
+
+export const parameters = {
+  type: 'object',
+  properties: {}
+};
+
+export async function execute(params, { config }) {
+  return {
+    configured_microphone: config.audio.deviceName,
+    sample_rate: config.audio.sampleRate,
+    channels: config.audio.channels,
+    note: 'Use "aplay -l" and "arecord -l" to list available devices'
+  };
+}
@@ -0,0 +1,41 @@
+export const name = 'get_device_status';
+
+export const description = 'Reports the device model, CPU temperature, power/throttling warnings and network connection.';
+
+export const parameters = {
+  type: 'object',
+  properties: {}
+};
+
+export async function execute(params, { config, telemetry }) {
+  const [model, os, temperature, throttling, network] = await Promise.all([
+    telemetry.getDeviceModel(),
+    telemetry.getOsName(),
+    telemetry.getCpuTemperature(),
+    telemetry.getThrottling(),
+    telemetry.getNetwork()
+  ]);
+
+  return {
+    device: model,
+    os,
+    microphone: config.audio.deviceName,
+    status: 'online',
+    cpu_temperature_c: temperature.available ? temperature.celsius : null,
+    throttling: throttling.available
+      ? {
+        under_voltage: throttling.underVoltage,
+        throttled: throttling.throttled ?? null,
+        frequency_capped: throttling.frequencyCapped ?? null,
+        under_voltage_since_boot: throttling.underVoltageOccurred ?? null
+      }
+      : 'unavailable',
+    network: {
+      online: network.online,
+      ip: network.ip,
+      interfaces: network.interfaces.map(({ name, state }) => `${name}: ${state}`)
+    },
+    uptime_seconds: telemetry.getUptime().processSeconds,
+    timestamp: new Date().toISOString()
+  };
+}
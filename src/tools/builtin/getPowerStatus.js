@@ -0,0 +1,33 @@
+export const name = 'get_power_status';
+
+export const description = 'Reports the power supply state (under-voltage, throttling) and the UPS battery level, voltage and whether it is charging.';
+
+export const parameters = {
+  type: 'object',
+  properties: {}
+};
+
+export async function execute(params, { power }) {
+  const { supply, battery } = await power.read();
+
+  return {
+    supply: supply.available
+      ? {
+        under_voltage: supply.underVoltage,
+        throttled: supply.throttled,
+        under_voltage_since_boot: supply.underVoltageOccurred
+      }
+      : 'unavailable',
+    battery: !battery
+      ? 'none (mains powered)'
+      : battery.available
+        ? {
+          percent: battery.percent,
+          voltage: battery.voltage,
+          charging: battery.charging,
+          external_power: battery.externalPower
+        }
+        : 'unavailable',
+    warnings: power.getActiveWarnings()
+  };
+}
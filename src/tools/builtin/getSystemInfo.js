@@ -0,0 +1,32 @@
+import os from 'os';
+
+export const name = 'get_system_info';
+
+export const description = 'Reports the platform, memory use and pressure, disk space, uptime and load average of the device.';
+
+export const parameters = {
+  type: 'object',
+  properties: {}
+};
+
+export async function execute(params, { telemetry }) {
+  const [memory, disk] = await Promise.all([telemetry.getMemory(), telemetry.getDisk()]);
+  const uptime = telemetry.getUptime();
+
+  return {
+    platform: os.platform(),
+    arch: os.arch(),
+    memory: {
+      total_mb: memory.totalMB,
+      available_mb: memory.availableMB,
+      used_percent: memory.usedPercent,
+      pressure_avg10: memory.pressure ? memory.pressure.someAvg10 : null
+    },
+    disk: disk.available
+      ? { path: disk.path, free_gb: disk.freeGB, total_gb: disk.totalGB, used_percent: disk.usedPercent }
+      : 'unavailable',
+    system_uptime: `${Math.round(uptime.systemSeconds / 3600)}h`,
+    agent_uptime: `${Math.round(uptime.processSeconds / 60)}min`,
+    loadavg: os.loadavg()
+  };
+}
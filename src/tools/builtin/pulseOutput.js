@@ -0,0 +1,33 @@
+import { rejectRuleErrors } from '../../gpio/gpioPins.js';
+
+// Built from the GPIO pins in the context (GPIO_PINS); only registered when
+// there are outputs
+export function create({ gpio }) {
+  const outputs = gpio ? gpio.list('out') : [];
+  if (outputs.length === 0) {
+    return null;
+  }
+
+  return {
+    name: 'pulse_output',
+
+    description: 'Switches a GPIO output on for a number of milliseconds, then off again ' +
+      '(door strikes, buzzers, momentary buttons). Outputs: ' +
+      outputs.map((pin) => `${pin.name}${pin.maxOnMs ? ` (max ${pin.maxOnMs}ms)` : ''}`).join(', '),
+
+    parameters: {
+      type: 'object',
+      properties: {
+        pin: { type: 'string', description: 'Name of the output', enum: outputs.map((pin) => pin.name) },
+        duration_ms: { type: 'integer', description: 'How long to keep the output on', minimum: 1, maximum: 600000 }
+      },
+      required: ['pin', 'duration_ms'],
+      additionalProperties: false
+    },
+
+    async execute({ pin, duration_ms: durationMs }) {
+      await gpio.pulseOutput(pin, durationMs).catch(rejectRuleErrors);
+      return { pin, pulsed_ms: durationMs };
+    }
+  };
+}
@@ -0,0 +1,29 @@
+// Built from the GPIO pins in the context (GPIO_PINS); only registered when
+// there are any
+export function create({ gpio }) {
+  const pins = gpio ? gpio.list() : [];
+  if (pins.length === 0) {
+    return null;
+  }
+
+  return {
+    name: 'read_input',
+
+    description: 'Reads whether a GPIO pin (sensor, switch, or one of the outputs) is on or off. Pins: ' +
+      pins.map((pin) => `${pin.name}${pin.description ? ` (${pin.description})` : ''}`).join(', '),
+
+    parameters: {
+      type: 'object',
+      properties: {
+        pin: { type: 'string', description: 'Name of the pin', enum: pins.map((pin) => pin.name) }
+      },
+      required: ['pin'],
+      additionalProperties: false
+    },
+
+    async execute({ pin }) {
+      const value = await gpio.readInput(pin);
+      return { pin, state: value === null ? 'unknown' : value ? 'on' : 'off' };
+    }
+  };
+}
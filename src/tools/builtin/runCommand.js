@@ -0,0 +1,61 @@
+import { ToolError } from '../registry.js';
+
+// Built from the command allowlist in the context (COMMAND_ALLOWLIST); only
+// registered when it has entries
+export function create({ commands: allowlist }) {
+  const commands = allowlist ? allowlist.list() : [];
+  if (commands.length === 0) {
+    return null;
+  }
+
+  return {
+    name: 'run_command',
+
+    description: 'Runs one of the maintenance commands allowed on this device and returns its output. ' +
+      'Available commands: ' +
+      commands.map(({ id, description, schema }) => {
+        const args = Object.keys(schema.properties);
+        return `${id}${args.length > 0 ? ` (args: ${args.join(', ')})` : ''} - ${description}`;
+      }).join('; '),
+
+    parameters: {
+      type: 'object',
+      properties: {
+        command: {
+          type: 'string',
+          description: 'Id of the command to run',
+          enum: commands.map(({ id }) => id)
+        },
+        args: {
+          type: 'object',
+          description: 'Arguments for the command, by name'
+        }
+      },
+      required: ['command']
+    },
+
+    // Longest command timeout plus time to kill it
+    timeoutMs: Math.max(0, ...commands.map((command) => command.timeoutMs)) + 3000,
+
+    async execute({ command, args = {} }, { signal }) {
+      const errors = allowlist.validateArgs(command, args);
+      if (errors.length > 0) {
+        throw new ToolError('invalid_parameters', `Invalid arguments for command '${command}'`, errors);
+      }
+
+      const result = await allowlist.run(command, args, signal);
+      if (result.timedOut) {
+        throw new ToolError('timeout', `Command '${command}' timed out`, { output: result.stdout });
+      }
+
+      return {
+        command,
+        exit_code: result.exitCode,
+        output: result.stdout,
+        errors: result.stderr,
+        truncated: result.truncated,
+        duration_ms: result.durationMs
+      };
+    }
+  };
+}
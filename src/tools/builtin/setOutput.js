@@ -0,0 +1,36 @@
+import { rejectRuleErrors } from '../../gpio/gpioPins.js';
+
+// Built from the GPIO pins in the context (GPIO_PINS); only registered when
+// there are outputs
+export function create({ gpio }) {
+  const outputs = gpio ? gpio.list('out') : [];
+  if (outputs.length === 0) {
+    return null;
+  }
+
+  return {
+    name: 'set_output',
+
+    description: 'Switches a relay, LED or other GPIO output on or off. Outputs: ' +
+      outputs.map((pin) => `${pin.name}${pin.description ? ` (${pin.description})` : ''}`).join(', '),
+
+    parameters: {
+      type: 'object',
+      properties: {
+        pin: { type: 'string', description: 'Name of the output', enum: outputs.map((pin) => pin.name) },
+        state: { type: 'string', enum: ['on', 'off'] }
+      },
+      required: ['pin', 'state'],
+      additionalProperties: false
+    },
+
+    async execute({ pin, state }) {
+      const result = await gpio.setOutput(pin, state === 'on' ? 1 : 0).catch(rejectRuleErrors);
+      return {
+        pin,
+        state,
+        auto_off_in_seconds: result.autoOffMs !== null ? Math.ceil(result.autoOffMs / 1000) : null
+      };
+    }
+  };
+}
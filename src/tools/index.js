@@ -0,0 +1,17 @@
+import { config } from '../config.js';
+import { ToolRegistry, BUILTIN_TOOLS_DIR } from './registry.js';
+import { createActionTools } from '../mqtt/mqttActions.js';
+
+// Built-in tools, any modules in TOOLS_DIR (site-specific tools) and the MQTT
+// publish actions passed as `mqttActions` (from loadMqttConfig)
+export async function createToolRegistry(context = {}) {
+  const registry = new ToolRegistry(context);
+  await registry.loadDirectory(BUILTIN_TOOLS_DIR);
+  if (config.tools.directory) {
+    await registry.loadDirectory(config.tools.directory);
+  }
+  for (const tool of createActionTools(context.mqttActions || {})) {
+    registry.register(tool, config.mqtt.configPath);
+  }
+  return registry;
+}
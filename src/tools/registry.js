@@ -0,0 +1,255 @@
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { validateSchema, applyDefaults } from './schema.js';
+
+export const BUILTIN_TOOLS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'builtin');
+
+// Client tools the agent can call on this device. Each tool is an ES module
+// in a tools directory exporting:
+//   name          tool name as configured in the agent dashboard
+//   description   what the tool does (the LLM reads this)
+//   parameters    JSON schema for the call's `parameters` object
+//   execute(params, context) → string or JSON-serializable result
+//   timeoutMs     optional, overrides the default timeout
+//   enabled       optional, false skips the module (e.g. nothing configured)
+// or create(context) returning an object with those fields (null to skip),
+// for tools described by an injected dependency (allowlist, GPIO pins...).
+// Failures are returned to the agent as a JSON error object
+// ({ error: { code, message, details? } }) with is_error set.
+//
+// At most maxConcurrent tools run at once; later calls wait for a slot. The
+// timeout counts from the moment the call arrives, so the agent always gets
+// an answer in time. context.signal is aborted on timeout or cancellation;
+// tools doing I/O should pass it on (spawn, fetch...). A tool that ignores
+// it keeps its slot until it actually returns.
+export class ToolRegistry {
+  constructor(context = {}, options = config.tools) {
+    this.context = context; // Passed to every execute() (agent, audio, config...)
+    this.timeoutMs = options.timeoutMs;
+    this.maxConcurrent = options.maxConcurrent;
+    this.tools = new Map();
+    this.running = 0;
+    this.waiting = []; // Calls queued for a free slot
+  }
+
+  async loadDirectory(dir) {
+    let files;
+    try {
+      files = (await readdir(dir)).filter((file) => file.endsWith('.js')).sort();
+    } catch (error) {
+      throw new Error(`Cannot read tools directory ${dir}: ${error.message}`);
+    }
+
+    for (const file of files) {
+      const modulePath = path.join(dir, file);
+      const module = await import(pathToFileURL(modulePath).href);
+      const tool = typeof module.create === 'function' ? module.create(this.context) : module;
+      if (!tool || tool.enabled === false) {
+        logger.debug(`Tool module ${modulePath} is disabled`);
+        continue;
+      }
+      this.register(tool, modulePath);
+    }
+
+    logger.debug(`Loaded ${files.length} tool(s) from ${dir}`);
+  }
+
+  register(tool, source = 'inline') {
+    const { name, description, parameters, execute, timeoutMs } = tool;
+
+    if (!name || typeof name !== 'string') {
+      throw new Error(`Tool in ${source} has no name`);
+    }
+    if (!description) {
+      throw new Error(`Tool '${name}' (${source}) has no description`);
+    }
+    if (typeof execute !== 'function') {
+      throw new Error(`Tool '${name}' (${source}) does not export execute()`);
+    }
+    if (parameters && parameters.type !== 'object') {
+      throw new Error(`Tool '${name}' (${source}) parameters schema must have type 'object'`);
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Tool '${name}' (${source}) is already registered by ${this.tools.get(name).source}`);
+    }
+
+    this.tools.set(name, {
+      name,
+      description,
+      parameters: parameters || { type: 'object', properties: {} },
+      execute,
+      timeoutMs: timeoutMs || this.timeoutMs,
+      source
+    });
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  list() {
+    return [...this.tools.keys()];
+  }
+
+  // Client tool definitions in the shape the agent dashboard / API expects
+  getDefinitions() {
+    return [...this.tools.values()].map(({ name, description, parameters, timeoutMs }) => ({
+      type: 'client',
+      name,
+      description,
+      parameters,
+      expects_response: true,
+      response_timeout_secs: Math.ceil(timeoutMs / 1000)
+    }));
+  }
+
+  // Never throws: always resolves to { result, isError } for sendToolResult.
+  // Aborting `signal` cancels the call (conversation ended or interrupted).
+  async execute(name, parameters = {}, signal = null) {
+    const startedAt = Date.now();
+    const outcome = await this.run(name, parameters, signal);
+    const durationMs = Date.now() - startedAt;
+
+    if (outcome.isError) {
+      logger.warn(`🔧 Tool '${name}' failed after ${durationMs}ms (${outcome.code}): ${outcome.message}`);
+    } else {
+      logger.info(`🔧 Tool '${name}' completed in ${durationMs}ms`);
+    }
+
+    return { result: outcome.result, isError: outcome.isError };
+  }
+
+  async run(name, parameters, signal) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return toolError('unknown_tool', `Tool '${name}' is not implemented on this device`, {
+        available: this.list()
+      });
+    }
+
+    const params = parameters === null ? {} : parameters;
+    const errors = validateSchema(tool.parameters, params);
+    if (errors.length > 0) {
+      return toolError('invalid_parameters', `Invalid parameters for tool '${name}'`, errors);
+    }
+
+    if (signal?.aborted) {
+      return toolError('cancelled', `Tool '${name}' cancelled: ${signal.reason}`);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      controller.abort(new ToolError('timeout', `Tool '${name}' timed out after ${tool.timeoutMs}ms`));
+    }, tool.timeoutMs);
+    const onCancel = () => {
+      controller.abort(new ToolError('cancelled', `Tool '${name}' cancelled: ${signal.reason}`));
+    };
+    signal?.addEventListener('abort', onCancel, { once: true });
+
+    try {
+      await this.acquireSlot(controller.signal);
+
+      const startedAt = Date.now();
+      const execution = (async () => tool.execute(
+        applyDefaults(tool.parameters, params),
+        { ...this.context, signal: controller.signal }
+      ))();
+
+      // The slot is held until the tool really finishes, even when the
+      // caller has already been answered with a timeout: tools that ignore
+      // the signal still count against maxConcurrent
+      const release = () => {
+        if (controller.signal.aborted) {
+          logger.debug(`Tool '${name}' settled ${Date.now() - startedAt}ms after it was abandoned`);
+        }
+        this.releaseSlot();
+      };
+      execution.then(release, release);
+
+      const result = await untilAborted(execution, controller.signal);
+      return {
+        result: typeof result === 'string' ? result : JSON.stringify(result ?? null),
+        isError: false
+      };
+    } catch (error) {
+      // Expected rejections (bad arguments, safety rules...) are only
+      // logged as the warning in execute()
+      if (error instanceof ToolError) {
+        return toolError(error.code, error.message, error.details);
+      }
+      logger.error(`Error executing tool '${name}': ${error.message}`);
+      return toolError('execution_failed', error.message);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onCancel);
+    }
+  }
+
+  acquireSlot(signal) {
+    if (this.running < this.maxConcurrent) {
+      this.running++;
+      return Promise.resolve();
+    }
+
+    logger.debug(`Tool slots full (${this.running}/${this.maxConcurrent}) - queueing call`);
+    return new Promise((resolve, reject) => {
+      const entry = { resolve };
+      this.waiting.push(entry);
+      signal.addEventListener('abort', () => {
+        this.waiting = this.waiting.filter((item) => item !== entry);
+        reject(signal.reason);
+      }, { once: true });
+    });
+  }
+
+  // Hand the slot straight to the next queued call, if any
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.running--;
+    }
+  }
+
+  getStatus() {
+    return {
+      tools: this.list(),
+      running: this.running,
+      queued: this.waiting.length,
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+}
+
+// Thrown by tools (and used for timeouts/cancellation) to fail a call with a
+// specific error code instead of 'execution_failed'
+export class ToolError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function untilAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    Promise.resolve(promise).then(resolve, reject);
+  });
+}
+
+function toolError(code, message, details) {
+  const error = { code, message };
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return { result: JSON.stringify({ error }), isError: true, code, message };
+}
@@ -0,0 +1,95 @@
+// Validation for the subset of JSON Schema that ElevenLabs client tool
+// parameters use: type, properties, required, additionalProperties, items,
+// enum, minimum/maximum, minLength/maxLength and pattern.
+// Returns a list of { path, message }; empty means valid.
+export function validateSchema(schema, value, path = 'parameters') {
+  const errors = [];
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ path, message: `must be ${[].concat(schema.type).join(' or ')}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) {
+        continue;
+      } else if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Fill in top-level `default`s for properties the caller left out
+export function applyDefaults(schema, value) {
+  const result = { ...value };
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (result[key] === undefined && property.default !== undefined) {
+      result[key] = property.default;
+    }
+  }
+  return result;
+}
+
+function matchesType(type, value) {
+  return [].concat(type).some((t) => {
+    switch (t) {
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return isPlainObject(value);
+      case 'null': return value === null;
+      default: return false;
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -1,34 +1,33 @@
-import recorder from 'node-record-lpcm16';
 import { config } from './config.js';
 import { logger } from './utils/logger.js';
+import { FrameVad } from './audio/frameVad.js';
+import { WakeWordDetector } from './audio/wakeWord.js';
 
 export class VoiceActivationDetector {
-  constructor(onSpeechStart, onSpeechEnd) {
+  constructor(captureHub, onSpeechStart, onSpeechEnd) {
+    this.captureHub = captureHub;
     this.onSpeechStart = onSpeechStart;
     this.onSpeechEnd = onSpeechEnd;
     
     this.isListening = false;
     this.isSpeechDetected = false;
-    this.recordingStream = null;
+    this.unsubscribeCapture = null;
     this.silenceTimer = null;
     this.speechTimer = null;
     
     // Voice detection parameters
-    this.silenceThreshold = 500; // RMS threshold for silence
+    this.frameVad = new FrameVad({
+      ...config.voiceActivation,
+      sampleRate: config.audio.sampleRate,
+      channels: config.audio.channels
+    });
+    this.noiseFloor = this.frameVad.noiseFloor;
+    this.lastRMS = 0;
+    this.lastProbability = 0;
+    // Wake word mode: speech alone doesn't activate, only the keyword does
+    this.wakeWord = null;
     this.speechDuration = 500; // ms of speech needed to trigger
     this.silenceDuration = 3000; // ms of silence before ending speech
-    this.inactivityTimeout = 20000; // 20 seconds of no speech = disconnect
-    this.inactivityTimer = null;
-    
-    this.recordingOptions = {
-      sampleRate: config.audio.sampleRate,
-      channels: config.audio.channels,
-      threshold: 0.1, // Lower threshold for VAD
-      silence: '0.5s',
-      device: 'plughw:1,0', // ATR USB microphone
-      recordProgram: 'arecord',
-      verbose: config.debug.enabled
-    };
   }
 
   async startListening() {
@@ -37,24 +36,23 @@ export class VoiceActivationDetector {
     }
 
     logger.info('🎤 Starting voice activation listening...');
-    logger.info('Speak to activate the agent connection');
     
     try {
-      this.recordingStream = recorder.record(this.recordingOptions);
-      this.isListening = true;
-      this.isSpeechDetected = false;
-      
-      // Start inactivity timer
-      this.startInactivityTimer();
+      if (config.activation.mode === 'wake_word') {
+        if (!this.wakeWord) {
+          this.wakeWord = await WakeWordDetector.load(config.wakeWord.modelPath, config.wakeWord);
+        }
+        logger.info(`Say "${this.wakeWord.keyword}" to activate the agent connection`);
+      } else {
+        logger.info('Speak to activate the agent connection');
+      }
 
-      this.recordingStream.stream().on('data', (chunk) => {
+      this.captureHub.start();
+      this.unsubscribeCapture = this.captureHub.subscribe('vad', (chunk) => {
         this.processAudioChunk(chunk);
       });
-
-      this.recordingStream.stream().on('error', (error) => {
-        logger.error('Voice detection error:', error);
-        this.stopListening();
-      });
+      this.isListening = true;
+      this.isSpeechDetected = false;
 
     } catch (error) {
       logger.error('Failed to start voice detection:', error);
@@ -83,28 +81,50 @@ export class VoiceActivationDetector {
       this.speechTimer = null;
     }
     
-    if (this.inactivityTimer) {
-      clearTimeout(this.inactivityTimer);
-      this.inactivityTimer = null;
+    if (this.unsubscribeCapture) {
+      this.unsubscribeCapture();
+      this.unsubscribeCapture = null;
     }
-    
-    if (this.recordingStream) {
-      try {
-        this.recordingStream.stop();
-      } catch (error) {
-        logger.debug('Error stopping voice detection stream:', error);
-      }
-      this.recordingStream = null;
+  }
+
+  // Forget partial speech/silence detection and recalibrate the noise
+  // floor (e.g. after the mic dropped out)
+  resetDetection() {
+    this.frameVad.reset();
+    if (this.wakeWord) {
+      this.wakeWord.reset();
+    }
+
+    if (this.silenceTimer) {
+      clearTimeout(this.silenceTimer);
+      this.silenceTimer = null;
+    }
+
+    if (this.speechTimer) {
+      clearTimeout(this.speechTimer);
+      this.speechTimer = null;
     }
   }
 
   processAudioChunk(chunk) {
-    // Calculate RMS (Root Mean Square) for volume detection
-    const rms = this.calculateRMS(chunk);
-    const isSpeech = rms > this.silenceThreshold;
+    // Energy, zero-crossing rate and speech-band energy per 20 ms frame,
+    // voted over a short window (see audio/frameVad.js)
+    const waitingForWakeWord = this.wakeWord && !this.isSpeechDetected;
+    const result = this.frameVad.process(
+      chunk,
+      waitingForWakeWord ? (frame, isSpeech) => this.processWakeWordFrame(frame, isSpeech) : null
+    );
+    if (!result || waitingForWakeWord) {
+      return;
+    }
+
+    this.lastRMS = result.rms;
+    this.lastProbability = result.probability;
+    const isSpeech = result.isSpeech;
     
     if (config.debug.enabled && Math.random() < 0.01) { // Log 1% of samples to avoid spam
-      logger.debug(`Voice level: ${rms.toFixed(0)} (threshold: ${this.silenceThreshold})`);
+      const level = this.getCurrentLevel();
+      logger.debug(`Voice level: ${level.level} (floor: ${level.noiseFloor}, threshold: ${level.threshold}, speech probability: ${level.probability})`);
     }
 
     if (isSpeech) {
@@ -114,22 +134,27 @@ export class VoiceActivationDetector {
     }
   }
 
-  calculateRMS(buffer) {
-    let sum = 0;
-    const samples = buffer.length / 2; // 16-bit samples = 2 bytes each
-    
-    for (let i = 0; i < buffer.length; i += 2) {
-      const sample = buffer.readInt16LE(i);
-      sum += sample * sample;
+  processWakeWordFrame(frame, isSpeech) {
+    if (this.isSpeechDetected || !this.wakeWord.processFrame(frame, isSpeech)) {
+      return;
+    }
+
+    logger.info('🗣️  Wake word heard - activating agent connection');
+    this.isSpeechDetected = true;
+
+    if (this.onSpeechStart) {
+      this.onSpeechStart();
+    }
+  }
+
+  // Called when a wake-word activation produced no user speech
+  recordFalseAccept() {
+    if (this.wakeWord) {
+      this.wakeWord.recordFalseAccept();
     }
-    
-    return Math.sqrt(sum / samples);
   }
 
   handleSpeechDetected() {
-    // Reset inactivity timer when speech is detected
-    this.resetInactivityTimer();
-    
     // Clear silence timer
     if (this.silenceTimer) {
       clearTimeout(this.silenceTimer);
@@ -175,29 +200,25 @@ export class VoiceActivationDetector {
     }
   }
 
-  startInactivityTimer() {
-    this.inactivityTimer = setTimeout(() => {
-      logger.info('⏰ Inactivity timeout - no speech detected for 20 seconds');
-      if (this.onSpeechEnd) {
-        this.onSpeechEnd();
-      }
-    }, this.inactivityTimeout);
-  }
-
-  resetInactivityTimer() {
-    if (this.inactivityTimer) {
-      clearTimeout(this.inactivityTimer);
-    }
-    this.startInactivityTimer();
-  }
-
   // Public method to check if currently detecting speech
   isSpeaking() {
     return this.isSpeechDetected;
   }
 
-  // Public method to get current voice level (for debugging)
+  // Public method to get current voice level, noise floor and thresholds (for debugging)
   getCurrentLevel() {
-    return this.lastRMS || 0;
+    return {
+      level: Math.round(this.lastRMS),
+      noiseFloor: Math.round(this.noiseFloor.noiseFloor),
+      threshold: Math.round(this.noiseFloor.getStartThreshold()),
+      releaseThreshold: Math.round(this.noiseFloor.getReleaseThreshold()),
+      isCalibrating: this.noiseFloor.isCalibrating(),
+      probability: Math.round(this.lastProbability * 100) / 100
+    };
+  }
+
+  // Wake word detection counts (null outside wake word mode)
+  getWakeWordStats() {
+    return this.wakeWord ? this.wakeWord.getStats() : null;
   }
 }
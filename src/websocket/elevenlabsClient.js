@@ -11,12 +11,17 @@ export class ElevenLabsClient {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = config.websocket.maxReconnectAttempts;
     this.reconnectDelay = config.websocket.reconnectDelay;
+    this.reconnectTimer = null;
+    this.isReconnecting = false;
+    this.closeRequested = false; // Set by disconnect(): no automatic reconnect
     this.pingInterval = null;
     this.conversationId = null;
+    this.dynamicVariablesProvider = null; // () → extra dynamic variables per conversation
     
     // Event handlers
     this.eventHandlers = {
       onConnect: null,
+      onConversationInitialized: null,
       onDisconnect: null,
       onError: null,
       onAudioReceived: null,
@@ -24,7 +29,9 @@ export class ElevenLabsClient {
       onAgentResponse: null,
       onPing: null,
       onToolCall: null,
-      onVadScore: null
+      onVadScore: null,
+      onInterruption: null,
+      onAgentToolResponse: null
     };
   }
 
@@ -33,6 +40,12 @@ export class ElevenLabsClient {
     Object.assign(this.eventHandlers, handlers);
   }
 
+  // Variables merged over config.conversation.dynamicVariables when a
+  // conversation is initialized (e.g. live device state)
+  setDynamicVariablesProvider(provider) {
+    this.dynamicVariablesProvider = provider;
+  }
+
   // Connect to ElevenLabs WebSocket
   async connect() {
     return new Promise((resolve, reject) => {
@@ -41,17 +54,22 @@ export class ElevenLabsClient {
         
         logger.connection('Connecting to ElevenLabs WebSocket...', { url: wsUrl });
 
-        this.ws = new WebSocket(wsUrl, {
+        this.closeRequested = false;
+        const ws = new WebSocket(wsUrl, {
           headers: {
             'Authorization': `Bearer ${config.elevenlabs.apiKey}`,
             'User-Agent': 'ElevenLabs-Pi-Agent/1.0.0'
           },
           timeout: config.websocket.connectionTimeout
         });
+        this.ws = ws;
+        let wasOpen = false;
 
-        this.ws.on('open', () => {
+        ws.on('open', () => {
           logger.connection('WebSocket connection established');
+          wasOpen = true;
           this.isConnected = true;
+          this.isReconnecting = false;
           this.reconnectAttempts = 0;
           this.setupPingInterval();
           this.initializeConversation();
@@ -63,11 +81,11 @@ export class ElevenLabsClient {
           resolve();
         });
 
-        this.ws.on('message', (data) => {
+        ws.on('message', (data) => {
           this.handleMessage(data);
         });
 
-        this.ws.on('error', (error) => {
+        ws.on('error', (error) => {
           logger.error('WebSocket error:', error);
           
           if (this.eventHandlers.onError) {
@@ -79,9 +97,14 @@ export class ElevenLabsClient {
           }
         });
 
-        this.ws.on('close', (code, reason) => {
+        ws.on('close', (code, reason) => {
           logger.connection('WebSocket connection closed', { code, reason: reason.toString() });
-          this.handleDisconnection();
+          // A socket replaced by a newer connect() no longer owns the client state
+          if (this.ws && this.ws !== ws) {
+            return;
+          }
+          this.ws = null;
+          this.handleDisconnection(wasOpen);
         });
 
       } catch (error) {
@@ -106,8 +129,12 @@ export class ElevenLabsClient {
       initMessage.custom_llm_extra_body = config.conversation.customLlmExtraBody;
     }
     
-    if (config.conversation.dynamicVariables) {
-      initMessage.dynamic_variables = config.conversation.dynamicVariables;
+    const dynamicVariables = {
+      ...config.conversation.dynamicVariables,
+      ...(this.dynamicVariablesProvider ? this.dynamicVariablesProvider() : {})
+    };
+    if (Object.keys(dynamicVariables).length > 0) {
+      initMessage.dynamic_variables = dynamicVariables;
     }
 
     logger.websocket('Sending conversation initialization', initMessage);
@@ -157,6 +184,10 @@ export class ElevenLabsClient {
           this.handleInterruption(message);
           break;
 
+        case 'agent_tool_response':
+          this.handleAgentToolResponse(message);
+          break;
+
         case 'internal_tentative_agent_response':
           this.handleTentativeResponse(message);
           break;
@@ -180,6 +211,10 @@ export class ElevenLabsClient {
       agentOutputFormat: metadata.agent_output_audio_format,
       userInputFormat: metadata.user_input_audio_format
     });
+
+    if (this.eventHandlers.onConversationInitialized) {
+      this.eventHandlers.onConversationInitialized(metadata);
+    }
   }
 
   // Handle audio messages from agent
@@ -270,8 +305,23 @@ export class ElevenLabsClient {
 
   // Handle interruption events
   handleInterruption(message) {
-    logger.agent('Interruption detected');
-    // Handle interruption logic if needed
+    const eventId = message.interruption_event?.event_id;
+    logger.agent('Interruption detected', { eventId });
+
+    if (this.eventHandlers.onInterruption) {
+      this.eventHandlers.onInterruption(eventId);
+    }
+  }
+
+  // Handle tools the agent ran itself (system tools such as end_call,
+  // webhooks, and our own client tools)
+  handleAgentToolResponse(message) {
+    const toolResponse = message.agent_tool_response;
+    logger.agent('Agent tool response', toolResponse);
+
+    if (this.eventHandlers.onAgentToolResponse) {
+      this.eventHandlers.onAgentToolResponse(toolResponse);
+    }
   }
 
   // Handle tentative responses (internal)
@@ -377,7 +427,9 @@ export class ElevenLabsClient {
   }
 
   // Handle disconnection
-  handleDisconnection() {
+  // Unexpected drops of an established connection are retried; connections
+  // closed with disconnect() or that never opened are not
+  handleDisconnection(wasOpen) {
     this.isConnected = false;
     this.conversationId = null;
     
@@ -386,26 +438,34 @@ export class ElevenLabsClient {
       this.pingInterval = null;
     }
 
+    const shouldRetry = !this.closeRequested && (wasOpen || this.isReconnecting);
+    const willReconnect = shouldRetry && this.reconnectAttempts < this.maxReconnectAttempts;
+
+    if (shouldRetry && !willReconnect) {
+      logger.error('Max reconnection attempts reached');
+      this.isReconnecting = false;
+    }
+
     if (this.eventHandlers.onDisconnect) {
-      this.eventHandlers.onDisconnect();
+      this.eventHandlers.onDisconnect(willReconnect);
     }
 
-    // Attempt reconnection if within limits
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
+    // The handler may have called disconnect() to cancel the reconnect
+    if (willReconnect && !this.closeRequested) {
       this.attemptReconnect();
-    } else {
-      logger.error('Max reconnection attempts reached');
     }
   }
 
   // Attempt to reconnect
-  async attemptReconnect() {
+  attemptReconnect() {
     this.reconnectAttempts++;
+    this.isReconnecting = true;
     const delay = this.reconnectDelay * this.reconnectAttempts;
 
     logger.connection(`Attempting reconnection ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms`);
 
-    setTimeout(async () => {
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
       try {
         await this.connect();
       } catch (error) {
@@ -419,6 +479,13 @@ export class ElevenLabsClient {
     logger.connection('Disconnecting from ElevenLabs WebSocket');
 
     this.isConnected = false;
+    this.closeRequested = true;
+    this.isReconnecting = false;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
     
     if (this.pingInterval) {
       clearInterval(this.pingInterval);
@@ -437,6 +504,7 @@ export class ElevenLabsClient {
       isConnected: this.isConnected,
       conversationId: this.conversationId,
       reconnectAttempts: this.reconnectAttempts,
+      isReconnecting: this.isReconnecting,
       wsState: this.ws ? this.ws.readyState : null
     };
   }